@@ -0,0 +1,19 @@
+/**
+ * Storefront path Shopify proxies to this app; matches [app_proxy] in
+ * shopify.app.toml (prefix "apps", subpath "notify-me-in-stock").
+ */
+export const APP_PROXY_PATH = "/apps/notify-me-in-stock";
+
+/**
+ * Absolute storefront URL for an app proxy route, e.g. links in emails.
+ * Goes through the shop domain so Shopify signs the proxied request.
+ */
+export function appProxyUrl(shop, path, params = {}) {
+  const url = new URL(`https://${shop}${APP_PROXY_PATH}${path}`);
+
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+
+  return url.toString();
+}
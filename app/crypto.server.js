@@ -0,0 +1,92 @@
+import { createCipheriv, createDecipheriv, randomBytes } from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+const FORMAT = "v1";
+
+/**
+ * Keys come from SETTINGS_ENCRYPTION_KEYS as a comma separated list of
+ * `<keyId>:<base64 32 byte key>`. The first key encrypts; every listed key
+ * can decrypt, so rotating means prepending a new key and re-encrypting.
+ *
+ *   SETTINGS_ENCRYPTION_KEYS="2024b:ZmFrZ...,2024a:b2xk..."
+ */
+function loadKeys() {
+  const raw = process.env.SETTINGS_ENCRYPTION_KEYS;
+  if (!raw) {
+    throw new Error("SETTINGS_ENCRYPTION_KEYS is not set");
+  }
+
+  return raw
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), "base64");
+
+      if (separator < 1 || key.length !== 32) {
+        throw new Error(
+          `Invalid SETTINGS_ENCRYPTION_KEYS entry "${id || entry.slice(0, 8)}": expected <id>:<base64 32 byte key>`,
+        );
+      }
+
+      return { id, key };
+    });
+}
+
+export function currentKeyId() {
+  return loadKeys()[0].id;
+}
+
+/**
+ * Encrypts a string into `v1:<keyId>:<iv>:<authTag>:<ciphertext>`.
+ */
+export function encrypt(plaintext) {
+  const { id, key } = loadKeys()[0];
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    FORMAT,
+    id,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+}
+
+export function decrypt(envelope) {
+  const [format, id, iv, authTag, ciphertext] = envelope.split(":");
+  if (format !== FORMAT) {
+    throw new Error(`Unsupported encryption format "${format}"`);
+  }
+
+  const entry = loadKeys().find((k) => k.id === id);
+  if (!entry) {
+    throw new Error(`Encryption key "${id}" is not configured`);
+  }
+
+  const decipher = createDecipheriv(
+    ALGORITHM,
+    entry.key,
+    Buffer.from(iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * True when the value was encrypted with a key other than the current one.
+ */
+export function needsReencryption(envelope) {
+  return envelope.split(":")[1] !== currentKeyId();
+}
@@ -0,0 +1,152 @@
+/**
+ * Mirrors a logged-in customer's open requests onto their Shopify customer
+ * record, so merchants can segment waitlisted customers: a `bis:<variant>`
+ * tag per variant and a metafield listing them all.
+ */
+
+export const WAITLIST_TAG_PREFIX = "bis:";
+
+export const WAITLIST_METAFIELD = {
+  namespace: "back_in_stock",
+  key: "waitlist",
+};
+
+/**
+ * The GID for a numeric customer id, as stored on requests.
+ */
+export function customerGid(id) {
+  return `gid://shopify/Customer/${id}`;
+}
+
+export function waitlistTag(variantId) {
+  return `${WAITLIST_TAG_PREFIX}${variantId}`;
+}
+
+function throwOnUserErrors(userErrors) {
+  if (userErrors?.length) {
+    throw new Error(userErrors.map((e) => e.message).join(", "));
+  }
+}
+
+async function customerTags(admin, customerId) {
+  const res = await admin.graphql(
+    `#graphql
+    query customerWaitlistTags($id: ID!) {
+      customer(id: $id) {
+        id
+        tags
+      }
+    }`,
+    { variables: { id: customerId } },
+  );
+
+  return (await res.json())?.data?.customer?.tags ?? null;
+}
+
+async function changeTags(admin, customerId, { add, remove }) {
+  if (add.length) {
+    const res = await admin.graphql(
+      `#graphql
+      mutation addWaitlistTags($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { variables: { id: customerId, tags: add } },
+    );
+    throwOnUserErrors((await res.json())?.data?.tagsAdd?.userErrors);
+  }
+
+  if (remove.length) {
+    const res = await admin.graphql(
+      `#graphql
+      mutation removeWaitlistTags($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { variables: { id: customerId, tags: remove } },
+    );
+    throwOnUserErrors((await res.json())?.data?.tagsRemove?.userErrors);
+  }
+}
+
+async function setWaitlistMetafield(admin, customerId, variantIds) {
+  const res = await admin.graphql(
+    `#graphql
+    mutation setWaitlistMetafield($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        metafields: [
+          {
+            ownerId: customerId,
+            ...WAITLIST_METAFIELD,
+            type: "list.variant_reference",
+            value: JSON.stringify(
+              variantIds.map((id) => `gid://shopify/ProductVariant/${id}`),
+            ),
+          },
+        ],
+      },
+    },
+  );
+  throwOnUserErrors((await res.json())?.data?.metafieldsSet?.userErrors);
+}
+
+async function deleteWaitlistMetafield(admin, customerId) {
+  const res = await admin.graphql(
+    `#graphql
+    mutation deleteWaitlistMetafield($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        metafields: [{ ownerId: customerId, ...WAITLIST_METAFIELD }],
+      },
+    },
+  );
+  throwOnUserErrors((await res.json())?.data?.metafieldsDelete?.userErrors);
+}
+
+/**
+ * Makes the customer's waitlist tags and metafield match `variantIds`, the
+ * variants they're still waiting for. Tags for anything else are removed,
+ * and the metafield too once the list is empty. Customers deleted from
+ * Shopify are skipped.
+ */
+export async function setCustomerWaitlist(admin, customerId, variantIds) {
+  const tags = await customerTags(admin, customerId);
+  if (!tags) return;
+
+  const wanted = variantIds.map(waitlistTag);
+  await changeTags(admin, customerId, {
+    add: wanted.filter((tag) => !tags.includes(tag)),
+    remove: tags.filter(
+      (tag) => tag.startsWith(WAITLIST_TAG_PREFIX) && !wanted.includes(tag),
+    ),
+  });
+
+  if (variantIds.length) {
+    await setWaitlistMetafield(admin, customerId, variantIds);
+  } else {
+    await deleteWaitlistMetafield(admin, customerId);
+  }
+}
@@ -4,9 +4,20 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startNotificationWorker } from "./jobs/notificationWorker.server";
 
 export const streamTimeout = 5000;
 
+// Sends queued back-in-stock notifications; set NOTIFICATION_WORKER=off and
+// run `npm run worker` to send them from a separate process instead
+// eslint-disable-next-line no-undef
+if (process.env.NOTIFICATION_WORKER !== "off") {
+  startNotificationWorker();
+}
+
+// Used by scripts/worker.js, which runs against this build
+export { startNotificationWorker };
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -0,0 +1,14 @@
+/**
+ * Escapes text for interpolation into HTML we build by hand (emails,
+ * app proxy pages). Braces are escaped too, since app proxy pages are
+ * rendered as Liquid.
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/{/g, "&#123;")
+    .replace(/}/g, "&#125;");
+}
@@ -0,0 +1,45 @@
+/**
+ * Which inventory locations count towards "back in stock". Merchants pick
+ * them in settings; with none picked, every active location that fulfills
+ * online orders counts.
+ */
+export function countsTowardStock(location, locationIds) {
+  if (!location?.isActive) return false;
+
+  return locationIds?.length
+    ? locationIds.includes(location.id.split("/").pop())
+    : location.fulfillsOnlineOrders;
+}
+
+/**
+ * Total `available` across the counted locations, from an inventory item's
+ * `inventoryLevels { nodes { location { … } quantities { … } } }`.
+ */
+export function sellableAvailable(inventoryLevels, locationIds) {
+  return (inventoryLevels?.nodes ?? [])
+    .filter((level) => countsTowardStock(level.location, locationIds))
+    .reduce(
+      (total, level) =>
+        total +
+        (level.quantities.find((q) => q.name === "available")?.quantity ?? 0),
+      0,
+    );
+}
+
+export async function fetchLocations(admin) {
+  const res = await admin.graphql(`#graphql
+    query restockLocations {
+      locations(first: 250, includeInactive: false) {
+        nodes {
+          id
+          name
+          isActive
+          fulfillsOnlineOrders
+        }
+      }
+    }
+  `);
+  const json = await res.json();
+
+  return json?.data?.locations?.nodes ?? [];
+}
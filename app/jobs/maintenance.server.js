@@ -0,0 +1,129 @@
+import { unauthenticated } from "../shopify.server";
+import { pruneRateLimitBuckets } from "../rateLimit.server";
+import {
+  expireUnconfirmedRequests,
+  importRequestsFromMetaobjects,
+  mirrorRequestStatus,
+  releaseStaleSendingRequests,
+} from "../models/backInStockRequest.server";
+import { CONFIRMATION_TTL_HOURS } from "../notifications/confirmation.server";
+import {
+  listLapsedShops,
+  listShopsAwaitingImport,
+} from "../models/shopSettings.server";
+import { pruneFinishedJobs } from "../models/notificationJob.server";
+import { pruneProcessedWebhooks } from "../models/processedWebhook.server";
+import { purgeShopData } from "../privacy.server";
+import { logger } from "../logger.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNINSTALL_GRACE_DAYS = Number(process.env.UNINSTALL_GRACE_DAYS) || 2;
+// Past the 90 days the analytics page reports on
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS) || 120;
+// Shopify stops retrying a delivery well within this
+const WEBHOOK_RETENTION_DAYS = 7;
+
+/**
+ * Expires double opt-in requests whose confirmation link has lapsed, and
+ * mirrors the new status onto their metaobjects.
+ */
+async function expireUnconfirmed() {
+  const expired = await expireUnconfirmedRequests(CONFIRMATION_TTL_HOURS);
+
+  const byShop = new Map();
+  for (const request of expired) {
+    byShop.set(request.shop, [...(byShop.get(request.shop) ?? []), request]);
+  }
+
+  for (const [shop, requests] of byShop) {
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      await mirrorRequestStatus(admin, requests, "expired");
+    } catch (error) {
+      logger.warn("Metaobject expiry sync failed", { shop, error });
+    }
+  }
+
+  return expired.length;
+}
+
+/**
+ * Retries the metaobject request import for shops where the one started at
+ * auth didn't finish.
+ */
+async function importMetaobjectRequests() {
+  let imported = 0;
+
+  for (const shop of await listShopsAwaitingImport()) {
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      imported += (await importRequestsFromMetaobjects(admin, shop)) ?? 0;
+    } catch (error) {
+      logger.warn("Metaobject request import failed", { shop, error });
+    }
+  }
+
+  return imported;
+}
+
+/**
+ * Hard-deletes shops that were uninstalled longer ago than the grace period
+ * and never came back.
+ */
+async function purgeLapsedShops() {
+  const cutoff = new Date(Date.now() - UNINSTALL_GRACE_DAYS * DAY_MS);
+  const shops = await listLapsedShops(cutoff);
+
+  for (const shop of shops) {
+    await purgeShopData(shop, "uninstall/cleanup");
+  }
+
+  return shops.length;
+}
+
+/**
+ * Deletes finished jobs and webhook claims past their retention, so neither
+ * table grows for as long as a shop stays installed.
+ */
+async function pruneHistory() {
+  const jobs = await pruneFinishedJobs(
+    new Date(Date.now() - JOB_RETENTION_DAYS * DAY_MS),
+  );
+  const webhooks = await pruneProcessedWebhooks(
+    new Date(Date.now() - WEBHOOK_RETENTION_DAYS * DAY_MS),
+  );
+
+  return { jobs, webhooks };
+}
+
+/**
+ * 🧹 Periodic housekeeping, run by the notification worker.
+ */
+export async function runMaintenance() {
+  const buckets = await pruneRateLimitBuckets();
+  const expired = await expireUnconfirmed();
+  const released = await releaseStaleSendingRequests();
+  const imported = await importMetaobjectRequests();
+  const purged = await purgeLapsedShops();
+  const pruned = await pruneHistory();
+
+  if (
+    buckets ||
+    expired ||
+    released ||
+    imported ||
+    purged ||
+    pruned.jobs ||
+    pruned.webhooks
+  ) {
+    logger.info("Maintenance run", {
+      buckets,
+      expired,
+      released,
+      imported,
+      purged,
+      prunedJobs: pruned.jobs,
+      prunedWebhooks: pruned.webhooks,
+    });
+  }
+}
@@ -0,0 +1,274 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import {
+  getNotificationSettings,
+  getSmsSettings,
+} from "../notifications/settings.server";
+import { rotateShopSettingsKeys } from "../models/shopSettings.server";
+import { runMaintenance } from "./maintenance.server";
+import { EVENT_TYPES } from "../notifications/events.server";
+import { confirmationUrl } from "../notifications/confirmation.server";
+import { preferencesUrl } from "../notifications/preferences.server";
+import {
+  claimRequestForSending,
+  releaseRequest,
+  mirrorRequestStatus,
+} from "../models/backInStockRequest.server";
+import {
+  claimDueJobs,
+  completeJob,
+  failJob,
+} from "../models/notificationJob.server";
+import { recordNotificationAttempt } from "../models/notificationAttempt.server";
+import { logger } from "../logger.server";
+
+const POLL_INTERVAL_MS =
+  Number(process.env.NOTIFICATION_WORKER_POLL_MS) || 5000;
+const BATCH_SIZE = Number(process.env.NOTIFICATION_WORKER_BATCH_SIZE) || 25;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Sends `event` for a request through the shop's configured provider for
+ * its channel, recording the attempt in the delivery log either way. Throws
+ * (so the job retries) when the provider isn't usable or the send fails.
+ * Returns the Admin client used to look the provider up.
+ */
+async function deliver(job, request, event) {
+  const started = Date.now();
+  let providerName = null;
+  let admin;
+
+  try {
+    ({ admin } = await unauthenticated.admin(job.shop));
+    const settings =
+      request.channel === "sms"
+        ? await getSmsSettings(job.shop)
+        : await getNotificationSettings(job.shop, admin);
+    providerName = settings.providerName;
+
+    if (settings.errors.length) {
+      throw new Error(
+        `${providerName} not configured: ${settings.errors.map((e) => e.message).join(", ")}`,
+      );
+    }
+
+    await settings.provider.send(settings.config, event);
+  } catch (error) {
+    await recordAttempt(job, request, event, providerName, started, error);
+    throw error;
+  }
+
+  await recordAttempt(job, request, event, providerName, started);
+  logger.info("Notification sent", {
+    shop: job.shop,
+    requestId: request.id,
+    jobId: job.id,
+    type: event.type,
+    provider: providerName,
+    latencyMs: Date.now() - started,
+  });
+
+  return admin;
+}
+
+async function recordAttempt(job, request, event, provider, started, error) {
+  try {
+    await recordNotificationAttempt({
+      shop: job.shop,
+      requestId: request.id,
+      jobId: job.id,
+      type: event.type,
+      channel: request.channel,
+      provider: provider ?? "unknown",
+      latencyMs: Date.now() - started,
+      error,
+    });
+  } catch (logError) {
+    // The delivery log must never cause a resend
+    logger.error("Recording notification attempt failed", {
+      shop: job.shop,
+      requestId: request.id,
+      jobId: job.id,
+      error: logError,
+    });
+  }
+}
+
+/**
+ * Who an event is for (SMS providers address `phone`, everything else
+ * `email`), when they asked and where they signed up.
+ */
+function subscriber(request) {
+  return {
+    channel: request.channel,
+    email: request.email,
+    phone: request.phone,
+    requestedAt: request.createdAt.toISOString(),
+    confirmedAt: request.confirmedAt?.toISOString(),
+    cancelledAt: request.cancelledAt?.toISOString(),
+    locale: request.locale,
+    market: request.market,
+    currency: request.currency,
+    referrer: request.referrer,
+    customerId: request.customerId,
+    marketingConsent: request.marketingConsent,
+  };
+}
+
+/**
+ * ✉️ Send a double opt-in confirmation link
+ */
+async function processConfirmationJob(job) {
+  const request = await db.backInStockRequest.findUnique({
+    where: { id: job.requestId },
+  });
+
+  if (request?.status === "unconfirmed") {
+    await deliver(job, request, {
+      type: EVENT_TYPES.CONFIRMATION,
+      shop: job.shop,
+      ...subscriber(request),
+      ...job.payload,
+      confirmUrl: confirmationUrl(job.shop, request),
+      unsubscribeUrl: preferencesUrl(job.shop, request),
+    });
+  }
+
+  await completeJob(job.id);
+}
+
+/**
+ * 🚫 Tell a subscriber the product they wanted is gone. Only sent while the
+ * request is still closed, in case it was reopened since.
+ */
+async function processUnavailableJob(job) {
+  const request = await db.backInStockRequest.findUnique({
+    where: { id: job.requestId },
+  });
+
+  if (["cancelled", "expired"].includes(request?.status)) {
+    await deliver(job, request, {
+      type: EVENT_TYPES.UNAVAILABLE,
+      shop: job.shop,
+      ...subscriber(request),
+      ...job.payload,
+      variantId: request.variantId,
+      reason: request.statusReason,
+    });
+  }
+
+  await completeJob(job.id);
+}
+
+/**
+ * 📤 Send one queued Back In Stock notification
+ */
+async function processJob(job) {
+  if (job.type === EVENT_TYPES.CONFIRMATION) {
+    return processConfirmationJob(job);
+  }
+  if (job.type === EVENT_TYPES.UNAVAILABLE) {
+    return processUnavailableJob(job);
+  }
+
+  // Cancelled, deleted, already notified or mid-send elsewhere
+  if (!(await claimRequestForSending(job.requestId, job.lockedAt))) {
+    await completeJob(job.id);
+    return;
+  }
+
+  const request = await db.backInStockRequest.findUnique({
+    where: { id: job.requestId },
+  });
+  let admin;
+
+  try {
+    admin = await deliver(job, request, {
+      type: EVENT_TYPES.BACK_IN_STOCK,
+      shop: job.shop,
+      ...subscriber(request),
+      ...job.payload,
+      unsubscribeUrl: preferencesUrl(job.shop, request),
+    });
+  } catch (error) {
+    await releaseRequest(request.id);
+    throw error;
+  }
+
+  // The provider call above can't be rolled back, so only the bookkeeping
+  // commits together here. If this fails, or the process dies before it,
+  // the request stays "sending" until its claim goes stale and may then be
+  // sent a second time
+  await db.$transaction([
+    db.backInStockRequest.update({
+      where: { id: request.id },
+      data: { status: "notified", notifiedAt: new Date(), sendingAt: null },
+    }),
+    db.notificationJob.update({
+      where: { id: job.id },
+      data: { status: "completed", lockedAt: null, lastError: null },
+    }),
+  ]);
+
+  await mirrorRequestStatus(admin, [request], "notified");
+}
+
+/**
+ * Claims and runs one batch of due jobs. Returns how many were claimed.
+ */
+export async function runNotificationJobs(limit = BATCH_SIZE) {
+  const jobs = await claimDueJobs(limit);
+
+  for (const job of jobs) {
+    try {
+      await processJob(job);
+    } catch (error) {
+      logger.error("Notification job failed", {
+        shop: job.shop,
+        requestId: job.requestId,
+        jobId: job.id,
+        attempt: job.attempts,
+        error,
+      });
+      await failJob(job, error);
+    }
+  }
+
+  return jobs.length;
+}
+
+/**
+ * 🔁 Start polling the job table. Only one loop runs per process, even when
+ * the dev server reloads this module.
+ */
+export function startNotificationWorker() {
+  if (global.notificationWorkerStarted) return;
+  global.notificationWorkerStarted = true;
+
+  // Pick up a newly prepended SETTINGS_ENCRYPTION_KEYS entry on boot
+  rotateShopSettingsKeys()
+    .then((rotated) => {
+      if (rotated) logger.info("Re-encrypted shop settings", { rotated });
+    })
+    .catch((error) => logger.error("Settings key rotation failed", { error }));
+
+  const tick = async () => {
+    let claimed = 0;
+    try {
+      claimed = await runNotificationJobs();
+    } catch (error) {
+      logger.error("Notification worker error", { error });
+    }
+
+    // Drain a backlog without waiting, otherwise sleep until the next poll
+    setTimeout(tick, claimed > 0 ? 0 : POLL_INTERVAL_MS).unref?.();
+  };
+
+  setTimeout(tick, POLL_INTERVAL_MS).unref?.();
+
+  setInterval(() => {
+    runMaintenance().catch((error) =>
+      logger.error("Maintenance failed", { error }),
+    );
+  }, MAINTENANCE_INTERVAL_MS).unref?.();
+}
@@ -0,0 +1,66 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.status ? { status: value.status } : {}),
+    stack: value.stack,
+  };
+}
+
+function write(level, context, msg, fields) {
+  if (LEVELS[level] < threshold) return;
+
+  const line = JSON.stringify(
+    {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...context,
+      ...fields,
+    },
+    (key, value) => serialize(value),
+  );
+
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * JSON lines logger. `context` (usually `shop`, `requestId`, `jobId` or
+ * `webhookId`) is added to every line, so one shop or request can be
+ * followed through the logs; `child` adds to it.
+ *
+ *   const log = logger.child({ shop, jobId: job.id });
+ *   log.error("Notification job failed", { error });
+ */
+export function createLogger(context = {}) {
+  const log = {
+    child: (extra) => createLogger({ ...context, ...extra }),
+  };
+  for (const level of Object.keys(LEVELS)) {
+    log[level] = (msg, fields = {}) => write(level, context, msg, fields);
+  }
+
+  return log;
+}
+
+export const logger = createLogger();
+
+/**
+ * Logger for a webhook handler, tagged with its topic and delivery id.
+ */
+export function webhookLogger({ shop, topic, webhookId }) {
+  const log = logger.child({ shop, topic, webhookId });
+  log.info("Webhook received");
+
+  return log;
+}
@@ -0,0 +1,153 @@
+import {
+  getShopSettings,
+  upsertShopSettings,
+} from "./models/shopSettings.server";
+
+export const REQUEST_METAOBJECT_TYPE = "back_in_stock_request";
+
+// Bump whenever REQUEST_FIELDS changes so installed shops get upgraded
+export const DEFINITION_VERSION = 3;
+
+// Fields are only ever added: removing or retyping one would break entries
+// existing shops already have
+const REQUEST_FIELDS = [
+  // Version 1
+  { key: "email", name: "Email", type: "single_line_text_field" },
+  { key: "product_id", name: "Product ID", type: "single_line_text_field" },
+  { key: "variant_id", name: "Variant ID", type: "single_line_text_field" },
+  { key: "status", name: "Status", type: "single_line_text_field" },
+  { key: "created_at", name: "Created at", type: "date" },
+  // Version 2: SMS subscribers
+  { key: "phone", name: "Phone", type: "single_line_text_field" },
+  { key: "channel", name: "Channel", type: "single_line_text_field" },
+  // Version 3: full timestamps (created_at is only a date) and where the
+  // shopper signed up
+  { key: "requested_at", name: "Requested at", type: "date_time" },
+  { key: "confirmed_at", name: "Confirmed at", type: "date_time" },
+  { key: "notified_at", name: "Notified at", type: "date_time" },
+  { key: "cancelled_at", name: "Cancelled at", type: "date_time" },
+  { key: "locale", name: "Locale", type: "single_line_text_field" },
+  { key: "market", name: "Market", type: "single_line_text_field" },
+  { key: "currency", name: "Currency", type: "single_line_text_field" },
+  { key: "referrer", name: "Referrer", type: "url" },
+  { key: "customer_id", name: "Customer ID", type: "single_line_text_field" },
+  { key: "marketing_consent", name: "Marketing consent", type: "boolean" },
+];
+
+function throwOnUserErrors(userErrors) {
+  if (userErrors?.length) {
+    throw new Error(userErrors.map((e) => e.message).join(", "));
+  }
+}
+
+async function findDefinition(admin) {
+  const res = await admin.graphql(
+    `#graphql
+    query requestMetaobjectDefinition($type: String!) {
+      metaobjectDefinitionByType(type: $type) {
+        id
+        fieldDefinitions {
+          key
+        }
+      }
+    }`,
+    { variables: { type: REQUEST_METAOBJECT_TYPE } },
+  );
+
+  return (await res.json())?.data?.metaobjectDefinitionByType ?? null;
+}
+
+async function createDefinition(admin) {
+  const res = await admin.graphql(
+    `#graphql
+    mutation createRequestMetaobjectDefinition(
+      $definition: MetaobjectDefinitionCreateInput!
+    ) {
+      metaobjectDefinitionCreate(definition: $definition) {
+        metaobjectDefinition {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        definition: {
+          type: REQUEST_METAOBJECT_TYPE,
+          name: "Back in stock request",
+          displayNameKey: "email",
+          fieldDefinitions: REQUEST_FIELDS,
+        },
+      },
+    },
+  );
+
+  throwOnUserErrors(
+    (await res.json())?.data?.metaobjectDefinitionCreate?.userErrors,
+  );
+}
+
+async function addFields(admin, id, fields) {
+  const res = await admin.graphql(
+    `#graphql
+    mutation updateRequestMetaobjectDefinition(
+      $id: ID!
+      $definition: MetaobjectDefinitionUpdateInput!
+    ) {
+      metaobjectDefinitionUpdate(id: $id, definition: $definition) {
+        metaobjectDefinition {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        id,
+        definition: {
+          fieldDefinitions: fields.map((field) => ({ create: field })),
+        },
+      },
+    },
+  );
+
+  throwOnUserErrors(
+    (await res.json())?.data?.metaobjectDefinitionUpdate?.userErrors,
+  );
+}
+
+/**
+ * Creates the `back_in_stock_request` metaobject definition, or adds the
+ * fields an older version of the app didn't have. Fields the merchant added
+ * themselves are left alone. Returns the version applied, or null when the
+ * shop was already up to date or doesn't mirror requests into metaobjects.
+ */
+export async function ensureRequestMetaobjectDefinition(admin, shop) {
+  const settings = await getShopSettings(shop);
+  if (
+    settings?.mirrorMetaobjects === false ||
+    (settings?.definitionVersion ?? 0) >= DEFINITION_VERSION
+  ) {
+    return null;
+  }
+
+  const definition = await findDefinition(admin);
+  if (!definition) {
+    await createDefinition(admin);
+  } else {
+    const existing = new Set(definition.fieldDefinitions.map((f) => f.key));
+    const missing = REQUEST_FIELDS.filter((f) => !existing.has(f.key));
+    if (missing.length) await addFields(admin, definition.id, missing);
+  }
+
+  await upsertShopSettings(shop, {
+    definitionVersion: DEFINITION_VERSION,
+  });
+  return DEFINITION_VERSION;
+}
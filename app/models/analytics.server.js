@@ -0,0 +1,100 @@
+import db from "../db.server";
+import { WAITLISTED_STATUSES } from "./backInStockRequest.server";
+import { EVENT_TYPES } from "../notifications/events.server";
+
+const TOP_LIMIT = 10;
+
+/**
+ * Demand and conversion figures for the analytics page. Everything except
+ * the current waitlist is limited to activity since `since`. New requests
+ * are counted per variant and day; send outcomes only cover back in stock
+ * alerts, not confirmation or unavailable emails.
+ */
+export async function getDemandAnalytics(shop, since) {
+  const [
+    topWanted,
+    dailyRequests,
+    jobOutcomes,
+    notified,
+    convertedRequests,
+    revenue,
+    topConverting,
+  ] = await Promise.all([
+    db.backInStockRequest.groupBy({
+      by: ["productId", "variantId"],
+      where: { shop, status: { in: WAITLISTED_STATUSES } },
+      _count: { _all: true },
+      orderBy: { _count: { id: "desc" } },
+      take: TOP_LIMIT,
+    }),
+    db.$queryRaw`
+      SELECT "productId", "variantId",
+        date_trunc('day', "createdAt") AS day, COUNT(*)::int AS count
+      FROM "BackInStockRequest"
+      WHERE "shop" = ${shop} AND "createdAt" >= ${since}
+      GROUP BY 1, 2, 3
+      ORDER BY 3, 1, 2
+    `,
+    db.notificationJob.groupBy({
+      by: ["status"],
+      where: {
+        shop,
+        type: EVENT_TYPES.BACK_IN_STOCK,
+        createdAt: { gte: since },
+      },
+      _count: { _all: true },
+    }),
+    db.backInStockRequest.count({
+      where: { shop, notifiedAt: { gte: since } },
+    }),
+    db.conversion.groupBy({
+      by: ["requestId"],
+      where: { shop, orderedAt: { gte: since } },
+    }),
+    db.conversion.groupBy({
+      by: ["currency"],
+      where: { shop, orderedAt: { gte: since } },
+      _sum: { revenue: true },
+      _count: { _all: true },
+    }),
+    db.conversion.groupBy({
+      by: ["variantId", "currency"],
+      where: { shop, orderedAt: { gte: since } },
+      _count: { _all: true },
+      _sum: { quantity: true, revenue: true },
+      orderBy: { _count: { variantId: "desc" } },
+      take: TOP_LIMIT,
+    }),
+  ]);
+
+  return {
+    topWanted: topWanted.map((row) => ({
+      productId: row.productId,
+      variantId: row.variantId,
+      pending: row._count._all,
+    })),
+    dailyRequests: dailyRequests.map((row) => ({
+      day: row.day.toISOString().slice(0, 10),
+      productId: row.productId,
+      variantId: row.variantId,
+      count: row.count,
+    })),
+    sendOutcomes: Object.fromEntries(
+      jobOutcomes.map((row) => [row.status, row._count._all]),
+    ),
+    notified,
+    converted: convertedRequests.length,
+    revenue: revenue.map((row) => ({
+      currency: row.currency,
+      conversions: row._count._all,
+      amount: row._sum.revenue.toFixed(2),
+    })),
+    topConverting: topConverting.map((row) => ({
+      variantId: row.variantId,
+      conversions: row._count._all,
+      units: row._sum.quantity,
+      revenue: row._sum.revenue.toFixed(2),
+      currency: row.currency,
+    })),
+  };
+}
@@ -0,0 +1,27 @@
+import db from "../db.server";
+
+/**
+ * Records a privacy-relevant action. `details` should hold counts and ids,
+ * never personal data: entries outlive the requests they describe.
+ */
+export async function recordAudit(shop, action, { subject, details } = {}) {
+  return db.auditLog.create({
+    data: {
+      shop,
+      action,
+      subject: subject == null ? null : String(subject),
+      details,
+    },
+  });
+}
+
+/**
+ * The shop's latest entries for `action`, newest first.
+ */
+export async function listAuditEntries(shop, action, take = 25) {
+  return db.auditLog.findMany({
+    where: { shop, action },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
@@ -0,0 +1,766 @@
+import db from "../db.server";
+import { getShopSettings, upsertShopSettings } from "./shopSettings.server";
+import {
+  REQUEST_METAOBJECT_TYPE,
+  ensureRequestMetaobjectDefinition,
+} from "../metaobjectDefinition.server";
+import { setCustomerWaitlist } from "../customerWaitlist.server";
+import { logger } from "../logger.server";
+
+const SYNC_PAGE_SIZE = 250;
+// Longer than any real send takes
+const STALE_SENDING_MS = 15 * 60 * 1000;
+
+export const REQUEST_STATUSES = [
+  "unconfirmed",
+  "pending",
+  "sending",
+  "notified",
+  "cancelled",
+  "expired",
+  "unsubscribed",
+];
+
+/**
+ * Flattens a metaobject's `fields` list into a `{ key: value }` object.
+ */
+export function metaobjectFields(metaobject) {
+  return Object.fromEntries(metaobject.fields.map((f) => [f.key, f.value]));
+}
+
+// Requests still waiting to be notified
+export const OPEN_STATUSES = ["unconfirmed", "pending"];
+// Requests closed without being notified; they get a cancelledAt
+const CLOSED_STATUSES = ["cancelled", "expired", "unsubscribed"];
+// Confirmed and not yet notified: what a customer's waitlist tags show
+export const WAITLISTED_STATUSES = ["pending", "sending"];
+// What a merchant can put back on the waitlist. Unsubscribed requests stay
+// closed, and unconfirmed ones still need the shopper to confirm.
+export const REOPENABLE_STATUSES = ["notified", "cancelled", "expired"];
+
+/**
+ * The timestamp a move to `status` records. Reopening a request clears
+ * cancelledAt.
+ */
+function statusTimestamps(status, now = new Date()) {
+  if (status === "notified") return { notifiedAt: now };
+  if (CLOSED_STATUSES.includes(status)) return { cancelledAt: now };
+  if (OPEN_STATUSES.includes(status)) return { cancelledAt: null };
+  return {};
+}
+
+async function mirrorsMetaobjects(shop) {
+  return (await getShopSettings(shop))?.mirrorMetaobjects ?? true;
+}
+
+/**
+ * True when the shop mirrors requests into metaobjects and we have Admin
+ * access. Upgrades the definition first, so new fields can be written even
+ * before the shop next authenticates.
+ */
+async function readyToMirror(admin, shop) {
+  if (!admin || !(await mirrorsMetaobjects(shop))) return false;
+
+  await ensureRequestMetaobjectDefinition(admin, shop);
+  return true;
+}
+
+/**
+ * `{ key: value }` to metaobject field inputs. Empty values are left out.
+ */
+function toFieldInputs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value != null && value !== "")
+    .map(([key, value]) => ({ key, value: String(value) }));
+}
+
+async function createMetaobject(admin, request) {
+  const res = await admin.graphql(
+    `#graphql
+    mutation CreateBackInStockRequest($metaobject: MetaobjectCreateInput!) {
+      metaobjectCreate(metaobject: $metaobject) {
+        metaobject {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        metaobject: {
+          type: REQUEST_METAOBJECT_TYPE,
+          fields: toFieldInputs({
+            // Only the contact fields the shopper gave us
+            email: request.email,
+            phone: request.phone,
+            channel: request.channel !== "email" ? request.channel : null,
+            product_id: request.productId,
+            variant_id: request.variantId,
+            status: request.status,
+            // Date only; kept for views and filters built before requested_at
+            created_at: request.createdAt.toISOString().split("T")[0],
+            requested_at: request.createdAt.toISOString(),
+            locale: request.locale,
+            market: request.market,
+            currency: request.currency,
+            referrer: request.referrer,
+            customer_id: request.customerId,
+            marketing_consent: request.marketingConsent,
+          }),
+        },
+      },
+    },
+  );
+  const json = await res.json();
+
+  const userErrors = json?.data?.metaobjectCreate?.userErrors ?? [];
+  if (userErrors.length) {
+    throw new Error(userErrors.map((e) => e.message).join(", "));
+  }
+
+  return json.data.metaobjectCreate.metaobject.id;
+}
+
+/**
+ * Stores a new request and, if the shop mirrors requests into metaobjects,
+ * creates its metaobject, then updates the customer's waitlist. A failed
+ * mirror is logged, not thrown: the request itself is saved. `source` is
+ * where the shopper signed up:
+ * `{ locale, market, currency, referrer, customerId, marketingConsent }`.
+ *
+ * Returns `{ request, existing }`. When the shopper already has an open
+ * request for the variant on that channel, that one comes back with
+ * `existing: true` and nothing is created.
+ */
+export async function createBackInStockRequest(
+  admin,
+  {
+    shop,
+    email,
+    phone,
+    channel = "email",
+    productId,
+    variantId,
+    status = "pending",
+    source = {},
+  },
+) {
+  const contact = { channel, email, phone };
+  const contactKey = channel === "sms" ? phone : email.toLowerCase();
+
+  const { request, existing } = await db.$transaction(async (tx) => {
+    // Submits for the same subscription take turns, so a double or
+    // concurrent submit can't pass the check below twice
+    await tx.$executeRaw`
+      SELECT pg_advisory_xact_lock(
+        hashtext(${`${shop}:${variantId}:${channel}:${contactKey}`})
+      )`;
+
+    const open = await findOpenRequest(shop, contact, variantId, tx);
+    if (open) return { request: open, existing: true };
+
+    const created = await tx.backInStockRequest.create({
+      data: {
+        shop,
+        email,
+        phone,
+        channel,
+        productId: String(productId),
+        variantId: String(variantId),
+        status,
+        locale: source.locale,
+        market: source.market,
+        currency: source.currency,
+        referrer: source.referrer,
+        customerId: source.customerId,
+        marketingConsent: Boolean(source.marketingConsent),
+      },
+    });
+    return { request: created, existing: false };
+  });
+  if (existing) return { request, existing };
+
+  let saved = request;
+  try {
+    if (await readyToMirror(admin, shop)) {
+      saved = await db.backInStockRequest.update({
+        where: { id: request.id },
+        data: { metaobjectId: await createMetaobject(admin, request) },
+      });
+    }
+  } catch (error) {
+    logger.warn("Metaobject mirror failed", {
+      shop,
+      requestId: request.id,
+      error,
+    });
+  }
+
+  await syncCustomerWaitlists(admin, [saved]);
+  return { request: saved, existing: false };
+}
+
+/**
+ * Matches a subscriber's requests on one channel. `contact` is
+ * `{ channel, email, phone }`.
+ */
+function contactWhere(contact) {
+  return {
+    channel: contact.channel,
+    ...(contact.channel === "sms"
+      ? { phone: contact.phone }
+      : { email: { equals: contact.email, mode: "insensitive" } }),
+  };
+}
+
+/**
+ * The shopper's existing open request for a variant on the same channel,
+ * confirmed or not.
+ */
+export async function findOpenRequest(shop, contact, variantId, client = db) {
+  return client.backInStockRequest.findFirst({
+    where: {
+      shop,
+      ...contactWhere(contact),
+      variantId: String(variantId),
+      status: { in: OPEN_STATUSES },
+    },
+  });
+}
+
+/**
+ * Every open request a subscriber has with the shop, newest first.
+ */
+export async function listOpenRequestsForContact(shop, contact) {
+  return db.backInStockRequest.findMany({
+    where: { shop, ...contactWhere(contact), status: { in: OPEN_STATUSES } },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Unsubscribes a subscriber from some (`requestIds`) or all of their open
+ * requests. Returns the requests that were unsubscribed.
+ */
+export async function unsubscribeRequests(shop, contact, requestIds) {
+  const where = {
+    shop,
+    ...contactWhere(contact),
+    status: { in: OPEN_STATUSES },
+    ...(requestIds ? { id: { in: requestIds } } : {}),
+  };
+
+  const requests = await db.backInStockRequest.findMany({ where });
+  if (requests.length === 0) return [];
+
+  await db.backInStockRequest.updateMany({
+    where: { ...where, id: { in: requests.map((r) => r.id) } },
+    data: {
+      status: "unsubscribed",
+      statusReason: "subscriber",
+      ...statusTimestamps("unsubscribed"),
+    },
+  });
+
+  return requests;
+}
+
+/**
+ * Moves a double opt-in request onto the waitlist. Returns the request, or
+ * null if it wasn't awaiting confirmation (already confirmed, expired...).
+ */
+export async function confirmRequest(shop, id) {
+  const { count } = await db.backInStockRequest.updateMany({
+    where: { id, shop, status: "unconfirmed" },
+    data: { status: "pending", confirmedAt: new Date() },
+  });
+
+  return count === 1
+    ? db.backInStockRequest.findUnique({ where: { id } })
+    : null;
+}
+
+/**
+ * Marks requests that were never confirmed within `maxAgeHours` as expired
+ * and returns them, so callers can sync their metaobjects.
+ */
+export async function expireUnconfirmedRequests(maxAgeHours) {
+  const where = {
+    status: "unconfirmed",
+    createdAt: { lt: new Date(Date.now() - maxAgeHours * 60 * 60 * 1000) },
+  };
+
+  const expired = await db.backInStockRequest.findMany({ where });
+  if (expired.length === 0) return [];
+
+  await db.backInStockRequest.updateMany({
+    where: { id: { in: expired.map((r) => r.id) }, status: "unconfirmed" },
+    data: {
+      status: "expired",
+      statusReason: "not_confirmed",
+      ...statusTimestamps("expired"),
+    },
+  });
+
+  return expired;
+}
+
+/**
+ * Distinct variant ids that still have open requests for a product.
+ */
+export async function openRequestVariantIds(shop, productId) {
+  const rows = await db.backInStockRequest.findMany({
+    where: {
+      shop,
+      productId: String(productId),
+      status: { in: OPEN_STATUSES },
+    },
+    distinct: ["variantId"],
+    select: { variantId: true },
+  });
+
+  return rows.map((row) => row.variantId);
+}
+
+/**
+ * Closes every open request for a product (optionally only some of its
+ * variants) as `cancelled` or `expired`, recording why.
+ * Returns the closed requests so callers can sync metaobjects and tell
+ * subscribers.
+ */
+export async function closeOpenRequests(
+  shop,
+  { productId, variantIds },
+  status,
+  reason,
+) {
+  const where = {
+    shop,
+    productId: String(productId),
+    status: { in: OPEN_STATUSES },
+    ...(variantIds ? { variantId: { in: variantIds.map(String) } } : {}),
+  };
+
+  const closing = await db.backInStockRequest.findMany({ where });
+  if (closing.length === 0) return [];
+
+  await db.backInStockRequest.updateMany({
+    where: {
+      id: { in: closing.map((r) => r.id) },
+      status: { in: OPEN_STATUSES },
+    },
+    data: { status, statusReason: reason, ...statusTimestamps(status) },
+  });
+
+  return closing;
+}
+
+/**
+ * Yields pending requests for a variant in batches, oldest first.
+ *
+ * Uses keyset pagination on (createdAt, id) rather than a Prisma cursor so
+ * rows that change status while we iterate don't shift the next page.
+ */
+export async function* pendingRequestBatches(
+  shop,
+  variantId,
+  batchSize = SYNC_PAGE_SIZE,
+) {
+  let last = null;
+
+  while (true) {
+    const batch = await db.backInStockRequest.findMany({
+      where: {
+        shop,
+        variantId: String(variantId),
+        status: "pending",
+        ...(last
+          ? {
+              OR: [
+                { createdAt: { gt: last.createdAt } },
+                { createdAt: last.createdAt, id: { gt: last.id } },
+              ],
+            }
+          : {}),
+      },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+      take: batchSize,
+    });
+
+    if (batch.length === 0) return;
+
+    yield batch;
+
+    if (batch.length < batchSize) return;
+    last = batch[batch.length - 1];
+  }
+}
+
+/**
+ * Requests for a variant notified since `since`, or being sent right now:
+ * what a restock has already used of its wave cap.
+ */
+export async function countNotifiedSince(shop, variantId, since) {
+  return db.backInStockRequest.count({
+    where: {
+      shop,
+      variantId: String(variantId),
+      OR: [{ notifiedAt: { gte: since } }, { status: "sending" }],
+    },
+  });
+}
+
+export async function updateRequestStatus(id, status) {
+  return db.backInStockRequest.update({
+    where: { id },
+    data: { status, ...statusTimestamps(status) },
+  });
+}
+
+/**
+ * Builds the Prisma `where` for the admin request list filters.
+ */
+function requestFilters(shop, { status, productId, variantId, from, to, q }) {
+  // Dates that don't parse are ignored rather than sent to Prisma
+  const createdAt = {};
+  const start = from ? new Date(from) : null;
+  if (start && !isNaN(start)) createdAt.gte = start;
+  const end = to ? new Date(to) : null;
+  if (end && !isNaN(end)) {
+    // Date-only `to` means "through the end of that day"
+    end.setUTCDate(end.getUTCDate() + 1);
+    createdAt.lt = end;
+  }
+
+  return {
+    shop,
+    ...(REQUEST_STATUSES.includes(status) ? { status } : {}),
+    ...(productId ? { productId: String(productId) } : {}),
+    ...(variantId ? { variantId: String(variantId) } : {}),
+    ...(Object.keys(createdAt).length ? { createdAt } : {}),
+    ...(q
+      ? {
+          OR: [
+            { email: { contains: q, mode: "insensitive" } },
+            // Phones are stored without formatting
+            { phone: { contains: q.replace(/[\s.()-]/g, "") || q } },
+          ],
+        }
+      : {}),
+  };
+}
+
+/**
+ * One page of requests for the admin dashboard, newest first.
+ */
+export async function listRequests(shop, filters, { page = 1, pageSize = 50 }) {
+  const where = requestFilters(shop, filters);
+
+  const [requests, total] = await Promise.all([
+    db.backInStockRequest.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    db.backInStockRequest.count({ where }),
+  ]);
+
+  return { requests, total };
+}
+
+export async function findRequestsByIds(shop, ids) {
+  return db.backInStockRequest.findMany({
+    where: { shop, id: { in: ids } },
+  });
+}
+
+/**
+ * Sets the status (and reason, or none) on each request and its metaobject.
+ */
+export async function setRequestsStatus(
+  admin,
+  requests,
+  status,
+  reason = null,
+) {
+  await db.backInStockRequest.updateMany({
+    where: { id: { in: requests.map((r) => r.id) } },
+    data: { status, statusReason: reason, ...statusTimestamps(status) },
+  });
+
+  await mirrorRequestStatus(admin, requests, status);
+}
+
+/**
+ * Moves a pending request to "sending". Only one caller can win this, which
+ * is what stops a request being notified twice when jobs are retried.
+ * `claimedAt` is when the calling job was claimed. Only one job per request
+ * runs at a time, so a "sending" mark older than that was left by an
+ * attempt that never finished, and is taken over.
+ */
+export async function claimRequestForSending(id, claimedAt) {
+  const { count } = await db.backInStockRequest.updateMany({
+    where: {
+      id,
+      OR: [
+        { status: "pending" },
+        // e.g. the worker died mid-send and the job's lock went stale
+        { status: "sending", sendingAt: { lt: claimedAt } },
+      ],
+    },
+    data: { status: "sending", sendingAt: new Date() },
+  });
+
+  return count === 1;
+}
+
+/**
+ * Puts a request back to "pending" after a send that definitely failed.
+ */
+export async function releaseRequest(id) {
+  await db.backInStockRequest.updateMany({
+    where: { id, status: "sending" },
+    data: { status: "pending", sendingAt: null },
+  });
+}
+
+/**
+ * Puts requests whose sending claim has gone stale back on the waitlist,
+ * for ones whose job gave up before it could be retried. They may have been
+ * sent already: a repeat notification beats never sending one.
+ */
+export async function releaseStaleSendingRequests() {
+  const { count } = await db.backInStockRequest.updateMany({
+    where: {
+      status: "sending",
+      OR: [
+        // Claimed before claims were timestamped
+        { sendingAt: null },
+        { sendingAt: { lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      ],
+    },
+    data: { status: "pending", sendingAt: null },
+  });
+
+  return count;
+}
+
+async function updateMetaobjectStatus(admin, request, status) {
+  const at = new Date().toISOString();
+  const res = await admin.graphql(
+    `#graphql
+    mutation updateBackInStockRequestStatus(
+      $id: ID!
+      $fields: [MetaobjectFieldInput!]!
+    ) {
+      metaobjectUpdate(id: $id, metaobject: { fields: $fields }) {
+        metaobject {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        id: request.metaobjectId,
+        fields: toFieldInputs({
+          status,
+          confirmed_at:
+            status === "pending" ? request.confirmedAt?.toISOString() : null,
+          notified_at: status === "notified" ? at : null,
+          cancelled_at: CLOSED_STATUSES.includes(status) ? at : null,
+        }),
+      },
+    },
+  );
+
+  const userErrors =
+    (await res.json())?.data?.metaobjectUpdate?.userErrors ?? [];
+  if (userErrors.length) {
+    throw new Error(userErrors.map((e) => e.message).join(", "));
+  }
+}
+
+/**
+ * Copies a status change, and the time it happened, onto the requests'
+ * metaobjects when the shop mirrors them. Requests that were never
+ * mirrored are skipped.
+ */
+async function mirrorMetaobjectStatus(admin, requests, status) {
+  const mirrored = requests.filter((request) => request.metaobjectId);
+  if (mirrored.length === 0) return;
+
+  try {
+    if (!(await readyToMirror(admin, mirrored[0].shop))) return;
+  } catch (error) {
+    logger.warn("Metaobject definition upgrade failed", {
+      shop: mirrored[0].shop,
+      error,
+    });
+    return;
+  }
+
+  for (const request of mirrored) {
+    try {
+      await updateMetaobjectStatus(admin, request, status);
+    } catch (error) {
+      logger.warn("Metaobject status sync failed", {
+        shop: request.shop,
+        requestId: request.id,
+        error,
+      });
+    }
+  }
+}
+
+/**
+ * Brings the waitlist tags and metafield of each logged-in customer among
+ * `requests` in line with their open requests, when the shop tags
+ * customers.
+ */
+async function syncCustomerWaitlists(admin, requests) {
+  const customerIds = [
+    ...new Set(requests.map((request) => request.customerId).filter(Boolean)),
+  ];
+  if (!admin || customerIds.length === 0) return;
+
+  const { shop } = requests[0];
+  if (!(await getShopSettings(shop))?.tagCustomers) return;
+
+  for (const customerId of customerIds) {
+    try {
+      const waiting = await db.backInStockRequest.findMany({
+        where: { shop, customerId, status: { in: WAITLISTED_STATUSES } },
+        distinct: ["variantId"],
+        select: { variantId: true },
+        orderBy: { createdAt: "asc" },
+      });
+      await setCustomerWaitlist(
+        admin,
+        customerId,
+        waiting.map((request) => request.variantId),
+      );
+    } catch (error) {
+      logger.warn("Customer waitlist sync failed", {
+        shop,
+        customerId,
+        error,
+      });
+    }
+  }
+}
+
+/**
+ * Copies a status change to Shopify: onto the requests' metaobjects and,
+ * for logged-in customers, their waitlist tags and metafield. Call it once
+ * the change is saved. Requests are all from one shop; failures are
+ * logged, since Prisma already has the change.
+ */
+export async function mirrorRequestStatus(admin, requests, status) {
+  await mirrorMetaobjectStatus(admin, requests, status);
+  await syncCustomerWaitlists(admin, requests);
+}
+
+/**
+ * Pages through every `back_in_stock_request` metaobject in the shop and
+ * upserts it into Prisma. Safe to run repeatedly. Throws if a page can't be
+ * read.
+ */
+async function syncRequestsFromMetaobjects(admin, shop) {
+  let after = null;
+  let synced = 0;
+
+  do {
+    const res = await admin.graphql(
+      `#graphql
+      query backInStockRequests($type: String!, $first: Int!, $after: String) {
+        metaobjects(type: $type, first: $first, after: $after) {
+          nodes {
+            id
+            updatedAt
+            fields {
+              key
+              value
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }`,
+      {
+        variables: {
+          type: REQUEST_METAOBJECT_TYPE,
+          first: SYNC_PAGE_SIZE,
+          after,
+        },
+      },
+    );
+
+    // A throttled or refused page isn't the end of the list: stopping here
+    // would mark a partial import as done
+    const json = await res.json();
+    const connection = json?.data?.metaobjects;
+    if (json?.errors?.length || !connection) {
+      const reason = json?.errors?.map((e) => e.message).join(", ");
+      throw new Error(`Metaobject import failed: ${reason || "no data"}`);
+    }
+
+    for (const node of connection.nodes) {
+      const fields = metaobjectFields(node);
+      if (!(fields.email || fields.phone) || !fields.variant_id) continue;
+
+      const data = {
+        shop,
+        email: fields.email || null,
+        phone: fields.phone || null,
+        channel: fields.channel || (fields.email ? "email" : "sms"),
+        productId: String(fields.product_id ?? ""),
+        variantId: String(fields.variant_id),
+        status: fields.status || "pending",
+      };
+
+      await db.backInStockRequest.upsert({
+        where: { metaobjectId: node.id },
+        create: {
+          ...data,
+          metaobjectId: node.id,
+          ...(fields.requested_at || fields.created_at
+            ? { createdAt: new Date(fields.requested_at || fields.created_at) }
+            : {}),
+        },
+        update: data,
+      });
+      synced += 1;
+    }
+
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return synced;
+}
+
+/**
+ * One-time import of requests stored as metaobjects before Prisma became
+ * the primary store. Returns how many were imported, or null if the shop
+ * was already imported. Throws if any page fails, leaving the shop to be
+ * imported again by maintenance.
+ */
+export async function importRequestsFromMetaobjects(admin, shop) {
+  if ((await getShopSettings(shop))?.metaobjectsImportedAt) return null;
+
+  const imported = await syncRequestsFromMetaobjects(admin, shop);
+  await upsertShopSettings(shop, { metaobjectsImportedAt: new Date() });
+
+  return imported;
+}
@@ -0,0 +1,60 @@
+import db from "../db.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Attributes an `orders/create` payload to notified subscribers: a line item
+ * counts when the order email or phone matches a request for that variant
+ * that was notified within `windowDays` before the order. Returns
+ * conversions created.
+ */
+export async function attributeOrder(shop, order, windowDays) {
+  const email = (order.email || order.customer?.email || "").trim();
+  const phone = (order.phone || order.customer?.phone || "").replace(
+    /[\s.()-]/g,
+    "",
+  );
+  const lineItems = (order.line_items ?? []).filter((item) => item.variant_id);
+  if (!(email || phone) || lineItems.length === 0) return 0;
+
+  const orderedAt = new Date(order.created_at ?? Date.now());
+  const requests = await db.backInStockRequest.findMany({
+    where: {
+      shop,
+      OR: [
+        ...(email ? [{ email: { equals: email, mode: "insensitive" } }] : []),
+        ...(phone ? [{ phone }] : []),
+      ],
+      variantId: { in: lineItems.map((item) => String(item.variant_id)) },
+      notifiedAt: {
+        gte: new Date(orderedAt.getTime() - windowDays * DAY_MS),
+        lte: orderedAt,
+      },
+    },
+  });
+  if (requests.length === 0) return 0;
+
+  const { count } = await db.conversion.createMany({
+    data: requests.map((request) => {
+      const item = lineItems.find(
+        (line) => String(line.variant_id) === request.variantId,
+      );
+
+      return {
+        shop,
+        requestId: request.id,
+        orderId: String(order.id),
+        email: request.email ?? (email || null),
+        variantId: request.variantId,
+        quantity: item.quantity,
+        revenue: (Number(item.price) * item.quantity).toFixed(2),
+        currency: order.currency,
+        orderedAt,
+      };
+    }),
+    // Shopify can deliver the same order more than once
+    skipDuplicates: true,
+  });
+
+  return count;
+}
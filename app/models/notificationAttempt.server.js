@@ -0,0 +1,26 @@
+import db from "../db.server";
+
+const MAX_ERROR_LENGTH = 2000;
+
+export async function recordNotificationAttempt({ error, ...attempt }) {
+  return db.notificationAttempt.create({
+    data: {
+      ...attempt,
+      status: error ? "failed" : "sent",
+      httpStatus: error?.status ?? error?.responseCode ?? null,
+      error: error
+        ? String(error.body ?? error.message ?? error).slice(
+            0,
+            MAX_ERROR_LENGTH,
+          )
+        : null,
+    },
+  });
+}
+
+export async function listNotificationAttempts(shop, requestId) {
+  return db.notificationAttempt.findMany({
+    where: { shop, requestId },
+    orderBy: { createdAt: "desc" },
+  });
+}
@@ -0,0 +1,154 @@
+import db from "../db.server";
+import { isShopActive } from "./shopSettings.server";
+
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Queues a notification job for each request that doesn't already have one
+ * of the same type waiting or in flight.
+ */
+export async function enqueueNotificationJobs(
+  shop,
+  requestIds,
+  payload,
+  type = "back_in_stock",
+) {
+  if (requestIds.length === 0) return 0;
+
+  // Webhook retries can still arrive after an uninstall
+  if (!(await isShopActive(shop))) return 0;
+
+  const active = await db.notificationJob.findMany({
+    where: {
+      requestId: { in: requestIds },
+      type,
+      status: { in: ["pending", "processing"] },
+    },
+    select: { requestId: true },
+  });
+  const alreadyQueued = new Set(active.map((job) => job.requestId));
+
+  const { count } = await db.notificationJob.createMany({
+    data: requestIds
+      .filter((requestId) => !alreadyQueued.has(requestId))
+      .map((requestId) => ({ shop, requestId, type, payload })),
+  });
+
+  return count;
+}
+
+/**
+ * Claims up to `limit` due jobs for this worker. A job is only handed out if
+ * our conditional update wins, so several app instances can poll safely.
+ */
+export async function claimDueJobs(limit) {
+  const now = new Date();
+
+  // Jobs left "processing" by a crashed worker go back on the queue
+  await db.notificationJob.updateMany({
+    where: {
+      status: "processing",
+      lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) },
+    },
+    data: { status: "pending", lockedAt: null },
+  });
+
+  const candidates = await db.notificationJob.findMany({
+    where: { status: "pending", runAt: { lte: now } },
+    orderBy: { runAt: "asc" },
+    take: limit,
+  });
+
+  const claimed = [];
+  for (const job of candidates) {
+    const { count } = await db.notificationJob.updateMany({
+      where: { id: job.id, status: "pending" },
+      data: {
+        status: "processing",
+        lockedAt: now,
+        attempts: { increment: 1 },
+      },
+    });
+
+    if (count === 1) {
+      claimed.push({ ...job, attempts: job.attempts + 1, lockedAt: now });
+    }
+  }
+
+  return claimed;
+}
+
+export async function completeJob(id) {
+  return db.notificationJob.update({
+    where: { id },
+    data: { status: "completed", lockedAt: null, lastError: null },
+  });
+}
+
+/**
+ * Reschedules a failed job with exponential backoff, or moves it to the
+ * dead-letter state once it has used up its attempts.
+ */
+export async function failJob(job, error) {
+  const lastError = String(error?.message ?? error).slice(0, 2000);
+
+  if (job.attempts >= job.maxAttempts) {
+    return db.notificationJob.update({
+      where: { id: job.id },
+      data: { status: "dead", lockedAt: null, lastError },
+    });
+  }
+
+  const delay = Math.min(
+    BASE_RETRY_DELAY_MS * 2 ** (job.attempts - 1),
+    MAX_RETRY_DELAY_MS,
+  );
+
+  return db.notificationJob.update({
+    where: { id: job.id },
+    data: {
+      status: "pending",
+      lockedAt: null,
+      lastError,
+      runAt: new Date(Date.now() + delay),
+    },
+  });
+}
+
+/**
+ * Stops an uninstalled shop's queued jobs from being sent. Halted jobs are
+ * not resumed on reinstall; their requests stay open and are queued again
+ * by the next restock.
+ */
+export async function haltShopJobs(shop) {
+  const { count } = await db.notificationJob.updateMany({
+    where: { shop, status: "pending" },
+    data: { status: "halted", lockedAt: null },
+  });
+
+  return count;
+}
+
+export async function listRequestJobs(shop, requestId) {
+  return db.notificationJob.findMany({
+    where: { shop, requestId },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Deletes completed and dead jobs last touched before `before`. Pending,
+ * processing and halted jobs are kept whatever their age.
+ */
+export async function pruneFinishedJobs(before) {
+  const { count } = await db.notificationJob.deleteMany({
+    where: {
+      status: { in: ["completed", "dead"] },
+      updatedAt: { lt: before },
+    },
+  });
+
+  return count;
+}
@@ -0,0 +1,41 @@
+import { Prisma } from "@prisma/client";
+import db from "../db.server";
+
+/**
+ * Records a webhook delivery in the ledger. Returns false when this
+ * (shop, webhook id) pair was already claimed, i.e. Shopify is retrying a
+ * delivery we've handled or are handling.
+ */
+export async function claimWebhook({ shop, webhookId, topic }) {
+  try {
+    await db.processedWebhook.create({ data: { shop, webhookId, topic } });
+    return true;
+  } catch (error) {
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2002"
+    ) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Drops a claim so Shopify's retry of a failed delivery is processed again.
+ */
+export async function releaseWebhook({ shop, webhookId }) {
+  await db.processedWebhook.deleteMany({ where: { shop, webhookId } });
+}
+
+/**
+ * Forgets deliveries processed before `before`, once Shopify has long
+ * stopped retrying them.
+ */
+export async function pruneProcessedWebhooks(before) {
+  const { count } = await db.processedWebhook.deleteMany({
+    where: { processedAt: { lt: before } },
+  });
+
+  return count;
+}
@@ -0,0 +1,56 @@
+import db from "../db.server";
+import { getShopSettings } from "./shopSettings.server";
+
+/**
+ * The effective restock rule for a product: its own RestockRule where set,
+ * falling back to the shop's defaults. A null multiplier means no cap.
+ */
+export async function getRestockRule(shop, productId) {
+  const [settings, rule] = await Promise.all([
+    getShopSettings(shop),
+    db.restockRule.findUnique({
+      where: { shop_productId: { shop, productId: String(productId) } },
+    }),
+  ]);
+
+  return {
+    minAvailable: rule?.minAvailable ?? settings?.restockMinAvailable ?? 1,
+    multiplier: rule?.multiplier ?? settings?.restockMultiplier ?? null,
+  };
+}
+
+/**
+ * How many subscribers a wave of `available` units may notify under `rule`:
+ * 0 below the threshold, otherwise the multiplier cap (or Infinity).
+ */
+export function notificationCap(rule, available) {
+  if (available < rule.minAvailable) return 0;
+  if (rule.multiplier == null) return Infinity;
+
+  return Math.ceil(available * rule.multiplier);
+}
+
+export async function listRestockRules(shop) {
+  return db.restockRule.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+export async function upsertRestockRule(shop, productId, data) {
+  return db.restockRule.upsert({
+    where: { shop_productId: { shop, productId: String(productId) } },
+    create: { shop, productId: String(productId), ...data },
+    update: data,
+  });
+}
+
+export async function deleteRestockRule(shop, id) {
+  return db.restockRule.deleteMany({ where: { id, shop } });
+}
+
+export async function deleteProductRestockRule(shop, productId) {
+  return db.restockRule.deleteMany({
+    where: { shop, productId: String(productId) },
+  });
+}
@@ -0,0 +1,112 @@
+import db from "../db.server";
+import { decrypt, encrypt, needsReencryption } from "../crypto.server";
+
+export async function getShopSettings(shop) {
+  return db.shopSettings.findUnique({ where: { shop } });
+}
+
+export async function upsertShopSettings(shop, data) {
+  return db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Marks the shop inactive on app/uninstalled. Settings are kept so a
+ * reinstall within the grace period picks up where it left off.
+ */
+export async function markShopUninstalled(shop) {
+  return db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, active: false, uninstalledAt: new Date() },
+    update: { active: false, uninstalledAt: new Date() },
+  });
+}
+
+/**
+ * Reactivates a returning shop. Returns true if it had been uninstalled.
+ */
+export async function markShopReinstalled(shop) {
+  const { count } = await db.shopSettings.updateMany({
+    where: { shop, active: false },
+    data: { active: true, uninstalledAt: null },
+  });
+
+  return count > 0;
+}
+
+export async function isShopActive(shop) {
+  const settings = await db.shopSettings.findUnique({
+    where: { shop },
+    select: { active: true },
+  });
+
+  return settings?.active ?? true;
+}
+
+/**
+ * Shops uninstalled before `cutoff`, whose data is due for deletion.
+ */
+export async function listLapsedShops(cutoff) {
+  const rows = await db.shopSettings.findMany({
+    where: { active: false, uninstalledAt: { lt: cutoff } },
+    select: { shop: true },
+  });
+
+  return rows.map((row) => row.shop);
+}
+
+/**
+ * Installed shops whose metaobject requests haven't been imported yet.
+ */
+export async function listShopsAwaitingImport() {
+  const rows = await db.shopSettings.findMany({
+    where: { active: true, metaobjectsImportedAt: null },
+    select: { shop: true },
+  });
+
+  return rows.map((row) => row.shop);
+}
+
+export function encryptConfig(config) {
+  return encrypt(JSON.stringify(config ?? {}));
+}
+
+export function decryptConfig(envelope) {
+  return envelope ? JSON.parse(decrypt(envelope)) : {};
+}
+
+/**
+ * Re-encrypts every stored provider config still sealed with an old key.
+ * Run after prepending a new key to SETTINGS_ENCRYPTION_KEYS; once it
+ * returns, the old key can be dropped from the list.
+ */
+export async function rotateShopSettingsKeys() {
+  const rows = await db.shopSettings.findMany({
+    where: {
+      OR: [
+        { providerConfig: { not: null } },
+        { smsProviderConfig: { not: null } },
+      ],
+    },
+    select: { shop: true, providerConfig: true, smsProviderConfig: true },
+  });
+
+  let rotated = 0;
+  for (const row of rows) {
+    const data = {};
+    for (const column of ["providerConfig", "smsProviderConfig"]) {
+      if (row[column] && needsReencryption(row[column])) {
+        data[column] = encryptConfig(decryptConfig(row[column]));
+      }
+    }
+    if (Object.keys(data).length === 0) continue;
+
+    await db.shopSettings.update({ where: { shop: row.shop }, data });
+    rotated += 1;
+  }
+
+  return rotated;
+}
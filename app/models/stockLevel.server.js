@@ -0,0 +1,34 @@
+import db from "../db.server";
+
+export async function getStockLevel(shop, inventoryItemId) {
+  return db.stockLevel.findUnique({
+    where: {
+      shop_inventoryItemId: { shop, inventoryItemId: String(inventoryItemId) },
+    },
+  });
+}
+
+/**
+ * Stores the item's sellable stock. Coming back from zero, or being seen in
+ * stock for the first time, starts a new restock. Returns the stored level.
+ */
+export async function recordStockLevel(
+  shop,
+  inventoryItemId,
+  available,
+  previous,
+) {
+  const restocked = available > 0 && !(previous?.available > 0);
+  const data = {
+    available,
+    ...(restocked ? { restockedAt: new Date() } : {}),
+  };
+
+  return db.stockLevel.upsert({
+    where: {
+      shop_inventoryItemId: { shop, inventoryItemId: String(inventoryItemId) },
+    },
+    create: { shop, inventoryItemId: String(inventoryItemId), ...data },
+    update: data,
+  });
+}
@@ -0,0 +1,32 @@
+import { appProxyUrl } from "../appProxy.server";
+import { signToken, verifyToken } from "../signing.server";
+
+/**
+ * How long a double opt-in request waits for confirmation before it expires.
+ */
+export const CONFIRMATION_TTL_HOURS = 48;
+
+/**
+ * The link expires with the request it confirms, CONFIRMATION_TTL_HOURS
+ * after signup, however late the email went out.
+ */
+export function confirmationUrl(shop, request) {
+  const expiresAt =
+    request.createdAt.getTime() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000;
+  const token = signToken(
+    { purpose: "confirm", shop, requestId: request.id },
+    Math.floor((expiresAt - Date.now()) / 1000),
+  );
+
+  return appProxyUrl(shop, "/notify/confirm", { token });
+}
+
+/**
+ * Returns the request id a confirmation token was issued for, or null.
+ */
+export function verifyConfirmationToken(token, shop) {
+  const payload = verifyToken(token);
+  if (payload?.purpose !== "confirm" || payload.shop !== shop) return null;
+
+  return payload.requestId;
+}
@@ -0,0 +1,76 @@
+/**
+ * Event types a provider may be asked to send. Jobs and events default to
+ * a Back In Stock alert.
+ */
+export const EVENT_TYPES = {
+  BACK_IN_STOCK: "back_in_stock",
+  CONFIRMATION: "confirmation",
+  UNAVAILABLE: "unavailable",
+};
+
+const EVENT_NAMES = {
+  [EVENT_TYPES.BACK_IN_STOCK]: "Back In Stock",
+  [EVENT_TYPES.CONFIRMATION]: "Back In Stock Confirmation",
+  [EVENT_TYPES.UNAVAILABLE]: "Back In Stock Unavailable",
+};
+
+export function eventType(event) {
+  return event.type ?? EVENT_TYPES.BACK_IN_STOCK;
+}
+
+/**
+ * Human readable event name, used as the CleverTap event / Klaviyo metric.
+ */
+export function eventName(event) {
+  return EVENT_NAMES[eventType(event)];
+}
+
+/**
+ * The snake_case properties attached to every provider event. Keys without
+ * a value are left out so ESP templates can test for them.
+ */
+export function eventProperties(event) {
+  const properties = {
+    product_id: event.productId,
+    variant_id: event.variantId,
+    product_title: event.productTitle,
+    product_url: event.productUrl,
+    product_image: event.imageUrl,
+    confirm_url: event.confirmUrl,
+    unsubscribe_url: event.unsubscribeUrl,
+    reason: event.reason,
+    requested_at: event.requestedAt,
+    confirmed_at: event.confirmedAt,
+    cancelled_at: event.cancelledAt,
+    locale: event.locale,
+    market: event.market,
+    currency: event.currency,
+    referrer: event.referrer,
+    customer_id: event.customerId,
+    marketing_consent: event.marketingConsent,
+  };
+
+  return Object.fromEntries(
+    Object.entries(properties).filter(([, value]) => value != null),
+  );
+}
+
+/**
+ * Plain text body for SMS providers, kept short. Messages a subscriber can
+ * still act on end with their preferences link, so they can opt out.
+ */
+export function smsText(event) {
+  const title = event.productTitle || "An item you wanted";
+  const optOut = event.unsubscribeUrl
+    ? ` Stop or manage alerts: ${event.unsubscribeUrl}`
+    : "";
+
+  if (eventType(event) === EVENT_TYPES.CONFIRMATION) {
+    return `Confirm your back in stock alert for ${title}: ${event.confirmUrl}${optOut}`;
+  }
+  if (eventType(event) === EVENT_TYPES.UNAVAILABLE) {
+    return `Sorry, ${title} is no longer available, so we've cancelled your back in stock alert.`;
+  }
+
+  return `${title} is back in stock: ${event.productUrl}${optOut}`;
+}
@@ -0,0 +1,67 @@
+/**
+ * A non-2xx answer from a provider's API. `status` and `body` end up in the
+ * request's delivery log; `body` is null for endpoints whose answer we
+ * don't keep.
+ */
+export class ProviderError extends Error {
+  constructor(providerLabel, status, body = null) {
+    super(
+      body === null
+        ? `${providerLabel} API error (${status})`
+        : `${providerLabel} API error (${status}): ${body}`,
+    );
+    this.name = "ProviderError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * POSTs a JSON body built by a provider's `buildRequest` and throws a
+ * ProviderError with the provider's response when it isn't a 2xx.
+ * `redirect` and `dispatcher` are passed on to fetch; `keepBody: false`
+ * leaves the response out of the error, for endpoints the merchant chose.
+ */
+export async function postJson(
+  { url, headers, body, redirect, dispatcher },
+  providerLabel,
+  { keepBody = true } = {},
+) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    redirect,
+    dispatcher,
+  });
+
+  if (!res.ok) {
+    throw new ProviderError(
+      providerLabel,
+      res.status,
+      keepBody ? await res.text() : null,
+    );
+  }
+
+  return res;
+}
+
+/**
+ * Like `postJson`, for APIs that take a form-encoded body.
+ */
+export async function postForm({ url, headers, body }, providerLabel) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      ...headers,
+    },
+    body: new URLSearchParams(body).toString(),
+  });
+
+  if (!res.ok) {
+    throw new ProviderError(providerLabel, res.status, await res.text());
+  }
+
+  return res;
+}
@@ -0,0 +1,47 @@
+/**
+ * Builds the product details carried by every notification job from a
+ * variant with `id`, `image { url }` and
+ * `product { id title handle featuredImage { url } }`.
+ */
+export function buildNotificationPayload(shop, variant) {
+  return {
+    productId: variant.product.id.split("/").pop(),
+    variantId: variant.id.split("/").pop(),
+    productTitle: variant.product.title,
+    productUrl: `https://${shop}/products/${variant.product.handle}`,
+    // 🔥 Safe image fallback
+    imageUrl: variant.image?.url || variant.product.featuredImage?.url || null,
+  };
+}
+
+/**
+ * Looks a variant up by numeric id and returns its notification payload, or
+ * null when the variant no longer exists.
+ */
+export async function fetchVariantPayload(admin, shop, variantId) {
+  const res = await admin.graphql(
+    `#graphql
+    query notificationVariant($id: ID!) {
+      productVariant(id: $id) {
+        id
+        image {
+          url
+        }
+        product {
+          id
+          title
+          handle
+          featuredImage {
+            url
+          }
+        }
+      }
+    }`,
+    { variables: { id: `gid://shopify/ProductVariant/${variantId}` } },
+  );
+
+  const json = await res.json();
+  const variant = json?.data?.productVariant;
+
+  return variant ? buildNotificationPayload(shop, variant) : null;
+}
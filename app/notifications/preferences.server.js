@@ -0,0 +1,51 @@
+import { appProxyUrl } from "../appProxy.server";
+import { signToken, verifyToken } from "../signing.server";
+import { findRequestsByIds } from "../models/backInStockRequest.server";
+
+/**
+ * Preference links go out with every notification and may sit in an inbox
+ * for a while before a subscriber wants to use them.
+ */
+const PREFERENCES_TTL_DAYS = 90;
+
+/**
+ * Signed link to the page where a subscriber manages (and unsubscribes
+ * from) all of their open requests on the request's channel. The token only
+ * names the request: links end up in access logs, referrers and forwarded
+ * messages, so the subscriber's contact is looked up on the server.
+ */
+export function preferencesUrl(shop, request) {
+  const token = signToken(
+    { purpose: "preferences", shop, requestId: request.id },
+    PREFERENCES_TTL_DAYS * 24 * 60 * 60,
+  );
+
+  return appProxyUrl(shop, "/notify/preferences", { token });
+}
+
+/**
+ * Returns the `{ channel, email, phone }` contact a preferences token was
+ * issued for, or null if the token is invalid or its request is gone.
+ */
+export async function verifyPreferencesToken(token, shop) {
+  const payload = verifyToken(token);
+  if (payload?.purpose !== "preferences" || payload.shop !== shop) return null;
+
+  // Links sent before tokens named the request carry the contact itself
+  if (!payload.requestId) {
+    return {
+      channel: payload.channel,
+      email: payload.email,
+      phone: payload.phone,
+    };
+  }
+
+  const [request] = await findRequestsByIds(shop, [String(payload.requestId)]);
+  if (!request) return null;
+
+  return {
+    channel: request.channel,
+    email: request.email,
+    phone: request.phone,
+  };
+}
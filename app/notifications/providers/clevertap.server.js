@@ -0,0 +1,74 @@
+import { postJson } from "../http.server";
+import { eventName, eventProperties } from "../events.server";
+import { logger } from "../../logger.server";
+
+const REGIONS = ["eu1", "in1", "us1", "sg1", "aps3", "mec1"];
+
+export const name = "clevertap";
+export const label = "CleverTap";
+
+export const fields = [
+  { key: "accountId", label: "Account ID", required: true },
+  { key: "passcode", label: "Passcode", required: true, secret: true },
+  { key: "region", label: "Region", required: true, options: REGIONS },
+];
+
+export function validateConfig(config) {
+  const errors = [];
+
+  for (const field of fields) {
+    if (field.required && !config?.[field.key]) {
+      errors.push({ field: field.key, message: `${field.label} is required` });
+    }
+  }
+
+  if (config?.region && !REGIONS.includes(config.region)) {
+    errors.push({
+      field: "region",
+      message: `Region must be one of ${REGIONS.join(", ")}`,
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Builds the CleverTap upload request for a Back In Stock (or confirmation)
+ * event
+ */
+export function buildRequest({ region, accountId, passcode }, event) {
+  const payload = {
+    d: [
+      {
+        identity: event.email ?? event.phone,
+        type: "event",
+        evtName: eventName(event),
+        evtData: eventProperties(event),
+        profileData: {
+          ...(event.email ? { Email: event.email } : {}),
+          ...(event.phone ? { Phone: event.phone } : {}),
+        },
+      },
+    ],
+  };
+
+  return {
+    url: `https://${region}.api.clevertap.com/1/upload`,
+    headers: {
+      "X-CleverTap-Account-Id": accountId,
+      "X-CleverTap-Passcode": passcode,
+    },
+    body: payload,
+  };
+}
+
+/**
+ * 📤 Send Back In Stock event to CleverTap
+ */
+export async function sendCleverTapBackInStockEvent(config, event) {
+  await postJson(buildRequest(config, event), label);
+
+  logger.debug("CleverTap event sent", { shop: event.shop, type: event.type });
+}
+
+export const send = sendCleverTapBackInStockEvent;
@@ -0,0 +1,86 @@
+import { postJson } from "../http.server";
+import { EVENT_TYPES, eventName, eventProperties } from "../events.server";
+
+const API_REVISION = "2024-10-15";
+
+export const name = "klaviyo";
+export const label = "Klaviyo";
+
+export const fields = [
+  { key: "privateKey", label: "Private API key", required: true, secret: true },
+  { key: "metricName", label: "Metric name (defaults to Back In Stock)" },
+];
+
+export function validateConfig(config) {
+  const errors = [];
+
+  if (!config?.privateKey) {
+    errors.push({
+      field: "privateKey",
+      message: "Private API key is required",
+    });
+  } else if (!config.privateKey.startsWith("pk_")) {
+    errors.push({
+      field: "privateKey",
+      message: "Private API keys start with pk_",
+    });
+  }
+
+  return errors;
+}
+
+const METRIC_SUFFIXES = {
+  [EVENT_TYPES.CONFIRMATION]: " Confirmation",
+  [EVENT_TYPES.UNAVAILABLE]: " Unavailable",
+};
+
+/**
+ * A custom metric name replaces "Back In Stock"; other event types get the
+ * same name with their suffix appended, e.g. " Confirmation".
+ */
+function metricFor(metricName, event) {
+  if (!metricName) return eventName(event);
+
+  return `${metricName}${METRIC_SUFFIXES[event.type] ?? ""}`;
+}
+
+/**
+ * Builds a Klaviyo Events API request, attached to the subscriber's profile
+ */
+export function buildRequest({ privateKey, metricName }, event) {
+  return {
+    url: "https://a.klaviyo.com/api/events/",
+    headers: {
+      Authorization: `Klaviyo-API-Key ${privateKey}`,
+      "Content-Type": "application/vnd.api+json",
+      revision: API_REVISION,
+    },
+    body: {
+      data: {
+        type: "event",
+        attributes: {
+          properties: eventProperties(event),
+          metric: {
+            data: {
+              type: "metric",
+              attributes: { name: metricFor(metricName, event) },
+            },
+          },
+          profile: {
+            data: {
+              type: "profile",
+              attributes: {
+                ...(event.email ? { email: event.email } : {}),
+                ...(event.phone ? { phone_number: event.phone } : {}),
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+export async function send(config, event) {
+  await postJson(buildRequest(config, event), label);
+}
@@ -0,0 +1,34 @@
+import { smsText } from "../../events.server";
+import { logger } from "../../../logger.server";
+
+/**
+ * Local SMS provider for development: logs that a message would have been
+ * sent instead of sending it. Only counts as configured when
+ * SMS_STUB_ENABLED=true, so a shop left on the default never looks ready
+ * to text anyone. Set NOTIFICATION_OUTBOX_FILE to capture messages to a
+ * file too.
+ */
+export const name = "stub";
+export const label = "Local stub (no messages sent)";
+
+export const fields = [];
+
+export function validateConfig() {
+  if (process.env.SMS_STUB_ENABLED === "true") return [];
+
+  return [{ field: "smsProvider", message: "Choose an SMS provider" }];
+}
+
+export function buildRequest(config, event) {
+  return { to: event.phone, body: smsText(event) };
+}
+
+export async function send(config, event) {
+  const { body } = buildRequest(config, event);
+
+  // Phone numbers and message text are personal data; keep them out of logs
+  logger.info("SMS not sent (stub provider)", {
+    shop: event.shop,
+    length: body.length,
+  });
+}
@@ -0,0 +1,68 @@
+import { postForm } from "../../http.server";
+import { smsText } from "../../events.server";
+
+export const name = "twilio";
+export const label = "Twilio";
+
+export const fields = [
+  { key: "accountSid", label: "Account SID", required: true },
+  { key: "authToken", label: "Auth token", required: true, secret: true },
+  {
+    key: "from",
+    label: "From number or messaging service SID",
+    required: true,
+  },
+];
+
+export function validateConfig(config) {
+  const errors = [];
+
+  if (!config?.accountSid) {
+    errors.push({ field: "accountSid", message: "Account SID is required" });
+  } else if (!/^AC[0-9a-f]{32}$/i.test(config.accountSid)) {
+    errors.push({
+      field: "accountSid",
+      message: "Account SIDs start with AC followed by 32 characters",
+    });
+  }
+
+  if (!config?.authToken) {
+    errors.push({ field: "authToken", message: "Auth token is required" });
+  }
+
+  if (!config?.from) {
+    errors.push({ field: "from", message: "From number is required" });
+  } else if (!/^(\+[1-9]\d{6,14}|MG[0-9a-f]{32})$/i.test(config.from)) {
+    errors.push({
+      field: "from",
+      message:
+        "Enter a number in international format (+15551234567) or a messaging service SID",
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Builds a Twilio Messages API request. A messaging service SID goes in
+ * MessagingServiceSid, so Twilio picks the sender from its pool.
+ */
+export function buildRequest({ accountSid, authToken, from }, event) {
+  const auth = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+
+  return {
+    url: `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+    headers: { Authorization: `Basic ${auth}` },
+    body: {
+      To: event.phone,
+      ...(from.startsWith("MG")
+        ? { MessagingServiceSid: from }
+        : { From: from }),
+      Body: smsText(event),
+    },
+  };
+}
+
+export async function send(config, event) {
+  await postForm(buildRequest(config, event), label);
+}
@@ -0,0 +1,110 @@
+import nodemailer from "nodemailer";
+import { EVENT_TYPES } from "../events.server";
+import { escapeHtml } from "../../html.server";
+
+export const name = "smtp";
+export const label = "SMTP email";
+
+export const fields = [
+  { key: "host", label: "SMTP host", required: true },
+  { key: "port", label: "Port", required: true },
+  { key: "user", label: "Username" },
+  { key: "pass", label: "Password", secret: true },
+  { key: "from", label: "From address", required: true },
+];
+
+export function validateConfig(config) {
+  const errors = [];
+
+  for (const field of fields) {
+    if (field.required && !config?.[field.key]) {
+      errors.push({ field: field.key, message: `${field.label} is required` });
+    }
+  }
+
+  const port = Number(config?.port);
+  if (config?.port && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+    errors.push({ field: "port", message: "Port must be between 1 and 65535" });
+  }
+
+  if (config?.user && !config?.pass) {
+    errors.push({
+      field: "pass",
+      message: "Password is required with a username",
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * The nodemailer message for a Back In Stock, confirmation or no longer
+ * available email
+ */
+function buildMessage({ from }, event) {
+  const title = event.productTitle || "An item you wanted";
+
+  if (event.type === EVENT_TYPES.CONFIRMATION) {
+    return {
+      from,
+      to: event.email,
+      subject: `Confirm your alert for ${title}`,
+      text: `Please confirm you'd like an email when ${title} is back in stock:\n\n${event.confirmUrl}`,
+      html: [
+        `<p>Please confirm you'd like an email when <strong>${escapeHtml(title)}</strong> is back in stock.</p>`,
+        `<p><a href="${escapeHtml(event.confirmUrl)}">Confirm my alert</a></p>`,
+      ].join(""),
+    };
+  }
+
+  if (event.type === EVENT_TYPES.UNAVAILABLE) {
+    return {
+      from,
+      to: event.email,
+      subject: `${title} is no longer available`,
+      text: `Sorry, ${title} is no longer available, so we've cancelled your back in stock alert.`,
+      html: `<p>Sorry, <strong>${escapeHtml(title)}</strong> is no longer available, so we've cancelled your back in stock alert.</p>`,
+    };
+  }
+
+  return {
+    from,
+    to: event.email,
+    subject: `${title} is back in stock`,
+    text: `Good news! ${title} is back in stock.\n\n${event.productUrl}`,
+    html: [
+      `<p>Good news! <strong>${escapeHtml(title)}</strong> is back in stock.</p>`,
+      event.imageUrl
+        ? `<p><img src="${escapeHtml(event.imageUrl)}" alt="${escapeHtml(title)}" width="300"></p>`
+        : "",
+      `<p><a href="${escapeHtml(event.productUrl)}">Shop now</a></p>`,
+    ].join(""),
+  };
+}
+
+/**
+ * Builds the message, with the subscriber's unsubscribe / preferences link
+ * in the footer when the event carries one
+ */
+export function buildRequest(config, event) {
+  const message = buildMessage(config, event);
+  if (!event.unsubscribeUrl) return message;
+
+  return {
+    ...message,
+    text: `${message.text}\n\nUnsubscribe or manage your alerts: ${event.unsubscribeUrl}`,
+    html: `${message.html}<p><small><a href="${escapeHtml(event.unsubscribeUrl)}">Unsubscribe or manage your alerts</a></small></p>`,
+  };
+}
+
+export async function send(config, event) {
+  const port = Number(config.port);
+  const transporter = nodemailer.createTransport({
+    host: config.host,
+    port,
+    secure: port === 465,
+    ...(config.user ? { auth: { user: config.user, pass: config.pass } } : {}),
+  });
+
+  await transporter.sendMail(buildRequest(config, event));
+}
@@ -0,0 +1,162 @@
+import { createHmac } from "crypto";
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import { Agent } from "undici";
+import { postJson } from "../http.server";
+import { eventType } from "../events.server";
+
+export const name = "webhook";
+export const label = "HTTP webhook";
+
+export const fields = [
+  { key: "url", label: "Endpoint URL", required: true },
+  { key: "secret", label: "Signing secret", secret: true },
+];
+
+// Loopback, private, link-local and other non-public ranges. The app must
+// not be usable to reach its own network, or the cloud metadata service.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const NON_PUBLIC = new BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, "ipv6");
+}
+
+function isPublicAddress(address) {
+  const family = isIP(address);
+  return family !== 0 && !NON_PUBLIC.check(address, `ipv${family}`);
+}
+
+// IPv6 hosts keep their brackets in `URL#hostname`
+function endpointHost(url) {
+  return url.hostname.replace(/^\[|\]$/g, "");
+}
+
+/**
+ * Whether the URL's host is, or names, a non-public address. Only literal
+ * addresses and localhost are caught here; `send` checks what a name
+ * resolves to.
+ */
+function isLocalHost(url) {
+  const host = endpointHost(url);
+  if (isIP(host)) return !isPublicAddress(host);
+
+  return host === "localhost" || host.endsWith(".localhost");
+}
+
+export function validateConfig(config) {
+  const errors = [];
+
+  if (!config?.url) {
+    errors.push({ field: "url", message: "Endpoint URL is required" });
+  } else {
+    let url;
+    try {
+      url = new URL(config.url);
+    } catch {
+      url = null;
+    }
+
+    if (url?.protocol !== "https:") {
+      errors.push({ field: "url", message: "Endpoint URL must be https://" });
+    } else if (isLocalHost(url)) {
+      errors.push({
+        field: "url",
+        message: "Endpoint URL must be a public address",
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Builds a signed POST of the raw event. Receivers verify
+ * `X-Back-In-Stock-Hmac-Sha256` the same way Shopify webhooks are verified.
+ */
+export function buildRequest({ url, secret }, event) {
+  const body = { topic: eventType(event), event };
+  const headers = {};
+
+  if (secret) {
+    headers["X-Back-In-Stock-Hmac-Sha256"] = createHmac("sha256", secret)
+      .update(JSON.stringify(body))
+      .digest("base64");
+  }
+
+  return { url, headers, body, redirect: "error" };
+}
+
+/**
+ * Resolves the endpoint's host, refusing it unless every address is public.
+ */
+async function publicAddresses(host) {
+  const addresses = await lookup(host, { all: true });
+  if (
+    !addresses.length ||
+    !addresses.every((a) => isPublicAddress(a.address))
+  ) {
+    throw new Error(`${label} endpoint ${host} is not a public address`);
+  }
+
+  return addresses;
+}
+
+/**
+ * A connection pool that only ever connects to `addresses`, whatever the
+ * name resolves to by then. Without it fetch would look the host up again,
+ * and a DNS answer that changes after the check (rebinding) could still
+ * reach a private address.
+ */
+function pinnedAgent(addresses) {
+  return new Agent({
+    connect: {
+      lookup(hostname, options, callback) {
+        if (options?.all) return callback(null, addresses);
+
+        const [{ address, family }] = addresses;
+        callback(null, address, family);
+      },
+    },
+  });
+}
+
+/**
+ * Refuses endpoints that resolve to a non-public address, and redirects,
+ * which could point anywhere. Only the status of a failed call is kept:
+ * the endpoint's answer is the merchant's to read, not the delivery log's.
+ */
+export async function send(config, event) {
+  const host = endpointHost(new URL(config.url));
+  const agent = pinnedAgent(await publicAddresses(host));
+
+  try {
+    await postJson(
+      { ...buildRequest(config, event), dispatcher: agent },
+      label,
+      { keepBody: false },
+    );
+  } finally {
+    await agent.close();
+  }
+}
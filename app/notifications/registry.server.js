@@ -0,0 +1,65 @@
+import { appendFile } from "fs/promises";
+import * as clevertap from "./providers/clevertap.server";
+import * as klaviyo from "./providers/klaviyo.server";
+import * as smtp from "./providers/smtp.server";
+import * as webhook from "./providers/webhook.server";
+
+/**
+ * A provider module exports:
+ *  - `name`, `label`
+ *  - `fields`: [{ key, label, required?, secret?, options? }] for settings forms
+ *  - `validateConfig(config)` → [{ field, message }]
+ *  - `buildRequest(config, event)` → what would be sent, with no side effects
+ *  - `send(config, event)`
+ */
+const providers = new Map();
+
+export const DEFAULT_PROVIDER = clevertap.name;
+
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+[clevertap, klaviyo, smtp, webhook].forEach(registerProvider);
+
+/**
+ * Test double: writes what the provider would have sent to a local JSON
+ * lines file instead of calling out.
+ */
+function fileDouble(provider, path) {
+  return {
+    ...provider,
+    async send(config, event) {
+      const entry = {
+        sentAt: new Date().toISOString(),
+        provider: provider.name,
+        event,
+        request: provider.buildRequest(config, event),
+      };
+
+      await appendFile(path, `${JSON.stringify(entry)}\n`);
+    },
+  };
+}
+
+/**
+ * Swaps in the file double when NOTIFICATION_OUTBOX_FILE is set. Shared
+ * with the SMS registry.
+ */
+export function withOutbox(provider) {
+  const outbox = process.env.NOTIFICATION_OUTBOX_FILE;
+  return outbox ? fileDouble(provider, outbox) : provider;
+}
+
+export function getProvider(name) {
+  const provider = providers.get(name);
+  return provider ? withOutbox(provider) : null;
+}
+
+export function listProviders() {
+  return [...providers.values()].map(({ name, label, fields }) => ({
+    name,
+    label,
+    fields,
+  }));
+}
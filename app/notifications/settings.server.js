@@ -0,0 +1,200 @@
+import {
+  decryptConfig,
+  encryptConfig,
+  getShopSettings,
+  upsertShopSettings,
+} from "../models/shopSettings.server";
+import { DEFAULT_PROVIDER, getProvider } from "./registry.server";
+import { DEFAULT_SMS_PROVIDER, getSmsProvider } from "./smsRegistry.server";
+import { logger } from "../logger.server";
+
+const LEGACY_METAFIELDS = [
+  ["back_in_stock", "provider"],
+  ["back_in_stock", "provider_config"],
+  ["clevertap", "account_id"],
+  ["clevertap", "passcode"],
+  ["clevertap", "region"],
+];
+
+/**
+ * Moves credentials that used to live in plain shop metafields into
+ * ShopSettings, then deletes the metafields so they can't be read any more.
+ * Credentials already saved in ShopSettings win over the metafields.
+ * Returns the updated settings, or null if the shop couldn't be read. The
+ * shop is only marked migrated once the delete succeeds.
+ */
+async function migrateLegacyMetafields(shop, admin, existing) {
+  const res = await admin.graphql(`#graphql
+    query legacyNotificationSettings {
+      shop {
+        id
+        provider: metafield(namespace: "back_in_stock", key: "provider") {
+          value
+        }
+        providerConfig: metafield(namespace: "back_in_stock", key: "provider_config") {
+          value
+        }
+        accountId: metafield(namespace: "clevertap", key: "account_id") {
+          value
+        }
+        passcode: metafield(namespace: "clevertap", key: "passcode") {
+          value
+        }
+        region: metafield(namespace: "clevertap", key: "region") {
+          value
+        }
+      }
+    }
+  `);
+
+  const json = await res.json();
+  const legacy = json?.data?.shop;
+  if (!legacy) return null;
+
+  const found = [
+    legacy.provider,
+    legacy.providerConfig,
+    legacy.accountId,
+    legacy.passcode,
+    legacy.region,
+  ].some((metafield) => metafield?.value);
+
+  let settings = existing;
+
+  if (found && !existing?.providerConfig) {
+    const provider = legacy.provider?.value || DEFAULT_PROVIDER;
+    let config;
+
+    if (provider === "clevertap") {
+      config = {
+        accountId: legacy.accountId?.value,
+        passcode: legacy.passcode?.value,
+        region: legacy.region?.value,
+      };
+    } else {
+      try {
+        config = JSON.parse(legacy.providerConfig?.value || "{}");
+      } catch {
+        config = {};
+      }
+    }
+
+    settings = await upsertShopSettings(shop, {
+      provider,
+      providerConfig: encryptConfig(config),
+    });
+    logger.info("Migrated notification settings out of metafields", { shop });
+  }
+
+  // The migration only counts as done once the plaintext copies are gone;
+  // until then it runs again the next time settings are read
+  if (found) {
+    try {
+      await deleteLegacyMetafields(admin, legacy.id);
+    } catch (error) {
+      logger.warn("Deleting legacy settings metafields failed", {
+        shop,
+        error,
+      });
+      return settings;
+    }
+  }
+
+  return upsertShopSettings(shop, { legacySettingsMigratedAt: new Date() });
+}
+
+async function deleteLegacyMetafields(admin, ownerId) {
+  const res = await admin.graphql(
+    `#graphql
+    mutation deleteLegacyNotificationSettings($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        metafields: LEGACY_METAFIELDS.map(([namespace, key]) => ({
+          ownerId,
+          namespace,
+          key,
+        })),
+      },
+    },
+  );
+
+  const json = await res.json();
+  const errors = [
+    ...(json?.errors ?? []),
+    ...(json?.data?.metafieldsDelete?.userErrors ?? []),
+  ];
+  if (errors.length || !json?.data?.metafieldsDelete) {
+    throw new Error(
+      `Legacy metafield delete failed: ${errors.map((e) => e.message).join(", ") || "no data"}`,
+    );
+  }
+}
+
+/**
+ * 🔐 Fetch the notification provider and its decrypted credentials for THIS
+ * store. Pass `admin` so a shop still on metafields gets migrated.
+ */
+export async function getNotificationSettings(shop, admin) {
+  let settings = await getShopSettings(shop);
+
+  // Other code creates the row first, so its existence says nothing about
+  // whether the metafields were migrated
+  if (!settings?.legacySettingsMigratedAt && admin) {
+    settings =
+      (await migrateLegacyMetafields(shop, admin, settings)) ?? settings;
+  }
+
+  const providerName = settings?.provider || DEFAULT_PROVIDER;
+  const config = decryptConfig(settings?.providerConfig);
+
+  const provider = getProvider(providerName);
+  const errors = provider
+    ? provider.validateConfig(config)
+    : [{ field: "provider", message: `Unknown provider "${providerName}"` }];
+
+  return { providerName, provider, config, errors };
+}
+
+/**
+ * 📱 The shop's SMS provider and decrypted credentials, in the same shape as
+ * `getNotificationSettings`.
+ */
+export async function getSmsSettings(shop) {
+  const settings = await getShopSettings(shop);
+
+  const providerName = settings?.smsProvider || DEFAULT_SMS_PROVIDER;
+  const config = decryptConfig(settings?.smsProviderConfig);
+
+  const provider = getSmsProvider(providerName);
+  const errors = provider
+    ? provider.validateConfig(config)
+    : [
+        {
+          field: "smsProvider",
+          message: `Unknown SMS provider "${providerName}"`,
+        },
+      ];
+
+  return { providerName, provider, config, errors };
+}
+
+export async function saveNotificationSettings(shop, providerName, config) {
+  await upsertShopSettings(shop, {
+    provider: providerName,
+    providerConfig: encryptConfig(config),
+  });
+}
+
+export async function saveSmsSettings(shop, providerName, config) {
+  await upsertShopSettings(shop, {
+    smsProvider: providerName,
+    smsProviderConfig: encryptConfig(config),
+  });
+}
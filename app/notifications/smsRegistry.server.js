@@ -0,0 +1,31 @@
+import * as stub from "./providers/sms/stub.server";
+import * as twilio from "./providers/sms/twilio.server";
+import { withOutbox } from "./registry.server";
+
+/**
+ * SMS providers have the same shape as the email/ESP providers in
+ * registry.server.js, but are handed events with `phone` set instead of
+ * `email`.
+ */
+const smsProviders = new Map();
+
+export const DEFAULT_SMS_PROVIDER = stub.name;
+
+export function registerSmsProvider(provider) {
+  smsProviders.set(provider.name, provider);
+}
+
+[stub, twilio].forEach(registerSmsProvider);
+
+export function getSmsProvider(name) {
+  const provider = smsProviders.get(name);
+  return provider ? withOutbox(provider) : null;
+}
+
+export function listSmsProviders() {
+  return [...smsProviders.values()].map(({ name, label, fields }) => ({
+    name,
+    label,
+    fields,
+  }));
+}
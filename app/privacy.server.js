@@ -0,0 +1,244 @@
+import db from "./db.server";
+import { recordAudit } from "./models/auditLog.server";
+import { customerGid } from "./customerWaitlist.server";
+
+/**
+ * Handlers for Shopify's mandatory compliance webhooks. Customers are
+ * matched on the email, phone and customer id in the webhook, the only
+ * customer identifiers this app keeps.
+ */
+
+function customerPhone(customer) {
+  return customer?.phone?.replace(/[\s.()-]/g, "") || null;
+}
+
+function customerWhere(shop, customer) {
+  const phone = customerPhone(customer);
+  const or = [
+    ...(customer?.email
+      ? [{ email: { equals: customer.email, mode: "insensitive" } }]
+      : []),
+    ...(phone ? [{ phone }] : []),
+    ...(customer?.id ? [{ customerId: customerGid(customer.id) }] : []),
+  ];
+
+  // No contact details means nothing of theirs can be ours
+  return or.length ? { shop, OR: or } : null;
+}
+
+/**
+ * Everything stored about a customer, identified by any of `email`, `phone`
+ * and `id`, as the merchant hands it over for a data request.
+ */
+export async function collectCustomerData(shop, customer) {
+  const where = customerWhere(shop, customer);
+  const requests = where
+    ? await db.backInStockRequest.findMany({
+        where,
+        orderBy: { createdAt: "asc" },
+      })
+    : [];
+  const conversions = requests.length
+    ? await db.conversion.findMany({
+        where: { shop, requestId: { in: requests.map((r) => r.id) } },
+      })
+    : [];
+
+  const data = {
+    requests: requests.map((request) => ({
+      email: request.email,
+      phone: request.phone,
+      channel: request.channel,
+      productId: request.productId,
+      variantId: request.variantId,
+      status: request.status,
+      createdAt: request.createdAt,
+      confirmedAt: request.confirmedAt,
+      notifiedAt: request.notifiedAt,
+      cancelledAt: request.cancelledAt,
+      locale: request.locale,
+      market: request.market,
+      currency: request.currency,
+      referrer: request.referrer,
+      customerId: request.customerId,
+      marketingConsent: request.marketingConsent,
+    })),
+    conversions: conversions.map((conversion) => ({
+      orderId: conversion.orderId,
+      variantId: conversion.variantId,
+      quantity: conversion.quantity,
+      revenue: conversion.revenue.toString(),
+      currency: conversion.currency,
+      orderedAt: conversion.orderedAt,
+    })),
+  };
+
+  return data;
+}
+
+/**
+ * customers/data_request: records that the customer asked and how much we
+ * hold about them. The export itself isn't stored; the merchant downloads it
+ * from the Privacy page, which runs `collectCustomerData` again.
+ */
+export async function exportCustomerData(shop, payload) {
+  const data = await collectCustomerData(shop, payload.customer);
+
+  const details = {
+    dataRequestId: payload.data_request?.id ?? null,
+    requests: data.requests.length,
+    conversions: data.conversions.length,
+  };
+
+  await recordAudit(shop, "customers/data_request", {
+    subject: payload.customer?.id,
+    details,
+  });
+
+  return details;
+}
+
+/**
+ * customers/redact: deletes the customer's requests with their queued jobs,
+ * delivery log, rate limit buckets and earlier audit entries, and strips
+ * their email from attributed conversions.
+ * Metaobject copies are deleted when we still have Admin API access.
+ */
+export async function redactCustomer(shop, payload, admin) {
+  const where = customerWhere(shop, payload.customer);
+  const requests = where ? await db.backInStockRequest.findMany({ where }) : [];
+  const requestIds = requests.map((r) => r.id);
+
+  let metaobjectsDeleted = 0;
+  if (admin) {
+    for (const request of requests) {
+      if (!request.metaobjectId) continue;
+      await admin.graphql(
+        `#graphql
+        mutation redactBackInStockRequest($id: ID!) {
+          metaobjectDelete(id: $id) {
+            deletedId
+          }
+        }`,
+        { variables: { id: request.metaobjectId } },
+      );
+      metaobjectsDeleted += 1;
+    }
+  }
+
+  const contacts = [payload.customer?.email, payload.customer?.phone]
+    .filter(Boolean)
+    .map((contact) => contact.toLowerCase().replace(/[\s.()-]/g, ""));
+
+  // How their email and phone appear in the details of older audit entries
+  const mentions = [
+    payload.customer?.email?.toLowerCase(),
+    customerPhone(payload.customer),
+  ].filter(Boolean);
+
+  const [jobs, attempts, conversions, buckets, deleted, auditEntries] =
+    await db.$transaction([
+      db.notificationJob.deleteMany({
+        where: { requestId: { in: requestIds } },
+      }),
+      db.notificationAttempt.deleteMany({
+        where: { requestId: { in: requestIds } },
+      }),
+      db.conversion.updateMany({
+        where: { shop, requestId: { in: requestIds } },
+        data: { email: null },
+      }),
+      db.rateLimitBucket.deleteMany({
+        where: {
+          OR: contacts.map((contact) => ({
+            key: { endsWith: `:${shop}:${contact}` },
+          })),
+        },
+      }),
+      db.backInStockRequest.deleteMany({ where: { id: { in: requestIds } } }),
+      // Entries about them, including ones from before exports stopped
+      // being copied into the log
+      db.$executeRaw`
+        DELETE FROM "AuditLog"
+        WHERE "shop" = ${shop}
+          AND ("subject" = ${String(payload.customer?.id ?? "")}
+            OR EXISTS (
+              SELECT 1 FROM unnest(${mentions}::text[]) AS mention
+              WHERE position(mention IN lower("details"::text)) > 0
+            ))
+      `,
+    ]);
+
+  const details = {
+    requests: deleted.count,
+    metaobjects: metaobjectsDeleted,
+    jobs: jobs.count,
+    attempts: attempts.count,
+    conversions: conversions.count,
+    rateLimitBuckets: buckets.count,
+    auditEntries,
+    ordersToRedact: payload.orders_to_redact ?? [],
+  };
+
+  await recordAudit(shop, "customers/redact", {
+    subject: payload.customer?.id,
+    details,
+  });
+
+  return details;
+}
+
+/**
+ * shop/redact: removes everything the app stores for the shop, including
+ * settings and earlier audit entries, then records that the purge happened
+ * under `action`. Arrives 48 hours after uninstall, so metaobjects in the
+ * shop are out of reach by then.
+ */
+export async function purgeShopData(shop, action = "shop/redact") {
+  const results = await db.$transaction([
+    db.notificationJob.deleteMany({ where: { shop } }),
+    db.notificationAttempt.deleteMany({ where: { shop } }),
+    db.conversion.deleteMany({ where: { shop } }),
+    db.backInStockRequest.deleteMany({ where: { shop } }),
+    db.restockRule.deleteMany({ where: { shop } }),
+    db.stockLevel.deleteMany({ where: { shop } }),
+    db.shopSettings.deleteMany({ where: { shop } }),
+    db.processedWebhook.deleteMany({ where: { shop } }),
+    db.rateLimitBucket.deleteMany({
+      where: { key: { contains: `:${shop}:` } },
+    }),
+    db.session.deleteMany({ where: { shop } }),
+    db.auditLog.deleteMany({ where: { shop } }),
+  ]);
+
+  const [
+    jobs,
+    attempts,
+    conversions,
+    requests,
+    restockRules,
+    stockLevels,
+    settings,
+    webhooks,
+    rateLimitBuckets,
+    sessions,
+    auditEntries,
+  ] = results.map((result) => result.count);
+  const details = {
+    jobs,
+    attempts,
+    conversions,
+    requests,
+    restockRules,
+    stockLevels,
+    settings,
+    webhooks,
+    rateLimitBuckets,
+    sessions,
+    auditEntries,
+  };
+
+  await recordAudit(shop, action, { details });
+
+  return details;
+}
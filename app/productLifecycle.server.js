@@ -0,0 +1,90 @@
+import {
+  closeOpenRequests,
+  mirrorRequestStatus,
+  openRequestVariantIds,
+} from "./models/backInStockRequest.server";
+import { enqueueNotificationJobs } from "./models/notificationJob.server";
+import { getShopSettings } from "./models/shopSettings.server";
+import { EVENT_TYPES } from "./notifications/events.server";
+import { logger } from "./logger.server";
+
+/**
+ * Product details for "no longer available" events, from a REST-style
+ * product webhook payload. Deleted products only carry their id.
+ */
+export function unavailablePayload(shop, product) {
+  return {
+    productId: String(product.id),
+    productTitle: product.title ?? null,
+    productUrl: product.handle
+      ? `https://${shop}/products/${product.handle}`
+      : null,
+    imageUrl: product.image?.src ?? null,
+  };
+}
+
+/**
+ * Closes a product's open requests, mirrors the status onto their
+ * metaobjects (when we still have Admin access) and, if the shop opted in,
+ * queues a "no longer available" event for each subscriber.
+ */
+export async function retireRequests(
+  shop,
+  admin,
+  filter,
+  { status, reason, payload },
+) {
+  const closed = await closeOpenRequests(shop, filter, status, reason);
+  if (closed.length === 0) return 0;
+
+  await mirrorRequestStatus(admin, closed, status);
+
+  const settings = await getShopSettings(shop);
+  if (settings?.notifyUnavailable) {
+    await enqueueNotificationJobs(
+      shop,
+      closed.map((request) => request.id),
+      payload,
+      EVENT_TYPES.UNAVAILABLE,
+    );
+  }
+
+  logger.info("Requests closed", {
+    shop,
+    count: closed.length,
+    status,
+    reason,
+  });
+
+  return closed.length;
+}
+
+/**
+ * Variant ids with open requests that no longer exist in Shopify.
+ */
+export async function deletedVariantIds(admin, shop, productId) {
+  const variantIds = await openRequestVariantIds(shop, productId);
+  if (variantIds.length === 0) return [];
+
+  const res = await admin.graphql(
+    `#graphql
+    query existingVariants($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        id
+      }
+    }`,
+    {
+      variables: {
+        ids: variantIds.map((id) => `gid://shopify/ProductVariant/${id}`),
+      },
+    },
+  );
+  const json = await res.json();
+  const existing = new Set(
+    (json?.data?.nodes ?? [])
+      .filter(Boolean)
+      .map((node) => node.id.split("/").pop()),
+  );
+
+  return variantIds.filter((id) => !existing.has(id));
+}
@@ -0,0 +1,49 @@
+import db from "./db.server";
+
+/**
+ * Reads a "<limit>/<seconds>" setting such as "10/60" from the environment.
+ */
+export function limitFromEnv(name, fallback) {
+  const [limit, windowSeconds] = String(process.env[name] || fallback)
+    .split("/")
+    .map(Number);
+
+  return { limit, windowSeconds };
+}
+
+/**
+ * Counts one hit against `key` in the current fixed window, backed by
+ * Postgres so every app instance shares the count. Returns whether the hit
+ * is allowed and, if not, how many seconds until the window resets.
+ */
+export async function hitRateLimit(key, { limit, windowSeconds }) {
+  const windowMs = windowSeconds * 1000;
+  const now = Date.now();
+  const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+
+  const bucket = await db.rateLimitBucket.upsert({
+    where: { key_windowStart: { key, windowStart } },
+    create: { key, windowStart, count: 1 },
+    update: { count: { increment: 1 } },
+  });
+
+  if (bucket.count <= limit) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  return {
+    allowed: false,
+    retryAfter: Math.ceil((windowStart.getTime() + windowMs - now) / 1000),
+  };
+}
+
+/**
+ * Drops buckets from windows that ended more than a day ago.
+ */
+export async function pruneRateLimitBuckets() {
+  const { count } = await db.rateLimitBucket.deleteMany({
+    where: { windowStart: { lt: new Date(Date.now() - 24 * 60 * 60 * 1000) } },
+  });
+
+  return count;
+}
@@ -0,0 +1,162 @@
+import {
+  countNotifiedSince,
+  openRequestVariantIds,
+  pendingRequestBatches,
+} from "./models/backInStockRequest.server";
+import { enqueueNotificationJobs } from "./models/notificationJob.server";
+import { getRestockRule, notificationCap } from "./models/restockRule.server";
+import { getStockLevel } from "./models/stockLevel.server";
+import {
+  getNotificationSettings,
+  getSmsSettings,
+} from "./notifications/settings.server";
+import { buildNotificationPayload } from "./notifications/payload.server";
+import { logger } from "./logger.server";
+
+/**
+ * Queues a back in stock job for a variant's pending requests, given its
+ * stored stock `level`. Returns the number of jobs queued.
+ */
+export async function queueRestockNotifications(
+  shop,
+  admin,
+  { payload, level, log = logger },
+) {
+  const { variantId } = payload;
+  const { available } = level;
+
+  /**
+   * 1️⃣ Check which channels have a provider set up
+   */
+  const channels = {
+    email: await getNotificationSettings(shop, admin),
+    sms: await getSmsSettings(shop),
+  };
+  const readyChannels = new Set();
+
+  for (const [channel, settings] of Object.entries(channels)) {
+    if (settings.errors.length) {
+      log.warn("Provider not configured", {
+        provider: settings.providerName,
+        errors: settings.errors,
+      });
+    } else {
+      readyChannels.add(channel);
+    }
+  }
+
+  if (readyChannels.size === 0) return 0;
+
+  /**
+   * 2️⃣ Apply the restock rule: wait for enough units, and only tell as
+   * many people as the stock can plausibly serve. Everyone notified since
+   * the item came back in stock counts towards the cap, so a sale (10 → 9)
+   * doesn't start another wave and topping up only tells the difference
+   */
+  const rule = await getRestockRule(shop, payload.productId);
+  const cap = notificationCap(rule, available);
+
+  if (cap === 0) {
+    log.info("Below restock threshold", {
+      available,
+      minAvailable: rule.minAvailable,
+    });
+    return 0;
+  }
+
+  let remaining =
+    cap - (await countNotifiedSince(shop, variantId, level.restockedAt));
+
+  if (remaining <= 0) {
+    log.info("Restock cap already reached", { variantId, available, cap });
+    return 0;
+  }
+
+  /**
+   * 3️⃣ Queue a notification job per pending request, first come first
+   * served, one page at a time. Requests past the cap stay pending for the
+   * next restock; ones already queued by an earlier wave count towards the
+   * cap and aren't queued twice. The worker does the sending so the
+   * webhook response stays fast.
+   */
+  let queued = 0;
+
+  for await (const batch of pendingRequestBatches(shop, variantId)) {
+    const wave = batch
+      .filter((req) => readyChannels.has(req.channel))
+      .slice(0, remaining);
+    remaining -= wave.length;
+
+    queued += await enqueueNotificationJobs(
+      shop,
+      wave.map((req) => req.id),
+      payload,
+    );
+
+    if (remaining <= 0) break;
+  }
+
+  log.info("Notification jobs queued", { variantId, queued, available, cap });
+
+  return queued;
+}
+
+/**
+ * Queues alerts for a product that just became active, for variants whose
+ * stock came in while it was a draft. Inventory webhooks record the stock
+ * level of draft products but don't send for them.
+ */
+export async function queueActiveProduct(shop, admin, productId, log = logger) {
+  const variantIds = await openRequestVariantIds(shop, productId);
+  if (variantIds.length === 0) return 0;
+
+  const res = await admin.graphql(
+    `#graphql
+    query restockVariants($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          image {
+            url
+          }
+          inventoryItem {
+            id
+          }
+          product {
+            id
+            title
+            handle
+            featuredImage {
+              url
+            }
+          }
+        }
+      }
+    }`,
+    {
+      variables: {
+        ids: variantIds.map((id) => `gid://shopify/ProductVariant/${id}`),
+      },
+    },
+  );
+  const json = await res.json();
+
+  let queued = 0;
+  for (const variant of json?.data?.nodes ?? []) {
+    if (!variant?.inventoryItem) continue;
+
+    const level = await getStockLevel(
+      shop,
+      variant.inventoryItem.id.split("/").pop(),
+    );
+    if (!(level?.available > 0)) continue;
+
+    queued += await queueRestockNotifications(shop, admin, {
+      payload: buildNotificationPayload(shop, variant),
+      level,
+      log,
+    });
+  }
+
+  return queued;
+}
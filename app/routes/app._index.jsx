@@ -1,238 +1,346 @@
-import { useEffect } from "react";
-import { useFetcher } from "react-router";
+import { useEffect, useState } from "react";
+import {
+  Form,
+  data,
+  useFetcher,
+  useLoaderData,
+  useSearchParams,
+} from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
+import {
+  OPEN_STATUSES,
+  REOPENABLE_STATUSES,
+  REQUEST_STATUSES,
+  findRequestsByIds,
+  listRequests,
+  setRequestsStatus,
+} from "../models/backInStockRequest.server";
+import { enqueueNotificationJobs } from "../models/notificationJob.server";
+import { fetchVariantPayload } from "../notifications/payload.server";
+import { getNotificationSettings } from "../notifications/settings.server";
+
+const PAGE_SIZE = 50;
+const FILTER_KEYS = ["status", "productId", "variantId", "from", "to", "q"];
+const BULK_INTENTS = ["cancel", "requeue", "notify"];
+
+const STATUS_TONES = {
+  unconfirmed: "warning",
+  pending: "info",
+  sending: "caution",
+  notified: "success",
+  cancelled: "neutral",
+  expired: "neutral",
+  unsubscribed: "neutral",
+};
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const filters = Object.fromEntries(
+    FILTER_KEYS.map((key) => [key, url.searchParams.get(key)?.trim() || ""]),
+  );
+  const page = Math.max(1, Number(url.searchParams.get("page")) || 1);
+
+  const [{ requests, total }, { errors }] = await Promise.all([
+    listRequests(session.shop, filters, { page, pageSize: PAGE_SIZE }),
+    getNotificationSettings(session.shop, admin),
+  ]);
 
-  return null;
+  return {
+    requests,
+    total,
+    page,
+    pageCount: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    statuses: REQUEST_STATUSES,
+    notConfigured: errors.length > 0,
+  };
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const color = ["Red", "Orange", "Yellow", "Green"][
-    Math.floor(Math.random() * 4)
-  ];
-  const response = await admin.graphql(
-    `#graphql
-      mutation populateProduct($product: ProductCreateInput!) {
-        productCreate(product: $product) {
-          product {
-            id
-            title
-            handle
-            status
-            variants(first: 10) {
-              edges {
-                node {
-                  id
-                  price
-                  barcode
-                  createdAt
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        product: {
-          title: `${color} Snowboard`,
-        },
-      },
-    },
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  // Anything else would fall through to queueing notifications
+  if (!BULK_INTENTS.includes(intent)) {
+    return data(
+      { intent, errors: [{ field: "intent", message: "Unknown action" }] },
+      { status: 400 },
+    );
+  }
+
+  const requests = await findRequestsByIds(
+    session.shop,
+    formData.getAll("ids").map(String),
   );
-  const responseJson = await response.json();
-  const product = responseJson.data.productCreate.product;
-  const variantId = product.variants.edges[0].node.id;
-  const variantResponse = await admin.graphql(
-    `#graphql
-    mutation shopifyReactRouterTemplateUpdateVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        productVariants {
-          id
-          price
-          barcode
-          createdAt
-        }
-      }
-    }`,
-    {
-      variables: {
-        productId: product.id,
-        variants: [{ id: variantId, price: "100.00" }],
-      },
-    },
+
+  if (intent === "cancel") {
+    const targets = requests.filter((r) => OPEN_STATUSES.includes(r.status));
+    await setRequestsStatus(admin, targets, "cancelled", "merchant");
+    return { intent, count: targets.length };
+  }
+
+  // Waiting requests, and closed ones the merchant may reopen, can go back
+  // on the waitlist or be sent now
+  const reopened = requests.filter((r) =>
+    REOPENABLE_STATUSES.includes(r.status),
   );
-  const variantResponseJson = await variantResponse.json();
+  await setRequestsStatus(admin, reopened, "pending");
+  const targets = [
+    ...requests.filter((r) => r.status === "pending"),
+    ...reopened,
+  ];
 
-  return {
-    product: responseJson.data.productCreate.product,
-    variant: variantResponseJson.data.productVariantsBulkUpdate.productVariants,
-  };
+  if (intent === "requeue") {
+    return { intent, count: targets.length };
+  }
+
+  let count = 0;
+  const byVariant = new Map();
+  for (const r of targets) {
+    byVariant.set(r.variantId, [...(byVariant.get(r.variantId) ?? []), r]);
+  }
+
+  for (const [variantId, variantRequests] of byVariant) {
+    const payload = await fetchVariantPayload(admin, session.shop, variantId);
+    if (!payload) continue;
+
+    count += await enqueueNotificationJobs(
+      session.shop,
+      variantRequests.map((r) => r.id),
+      payload,
+    );
+  }
+
+  return { intent, count };
 };
 
 export default function Index() {
+  const { requests, total, page, pageCount, statuses, notConfigured } =
+    useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
-  const isLoading =
-    ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
+  const [selected, setSelected] = useState(() => new Set());
+
+  const busy = fetcher.state !== "idle";
 
   useEffect(() => {
-    if (fetcher.data?.product?.id) {
-      shopify.toast.show("Product created");
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    if (fetcher.data.errors) {
+      shopify.toast.show(fetcher.data.errors[0].message, { isError: true });
+      return;
     }
-  }, [fetcher.data?.product?.id, shopify]);
-  const generateProduct = () => fetcher.submit({}, { method: "POST" });
+
+    const messages = {
+      cancel: "cancelled",
+      requeue: "re-queued",
+      notify: "queued for notification",
+    };
+    shopify.toast.show(
+      `${fetcher.data.count} request(s) ${messages[fetcher.data.intent]}`,
+    );
+    setSelected(new Set());
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  const toggle = (id) =>
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+
+  const allSelected =
+    requests.length > 0 && requests.every((r) => selected.has(r.id));
+  const toggleAll = () =>
+    setSelected(allSelected ? new Set() : new Set(requests.map((r) => r.id)));
+
+  const runBulk = (intent) => {
+    const formData = new FormData();
+    formData.set("intent", intent);
+    selected.forEach((id) => formData.append("ids", id));
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const goToPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    params.set("page", String(nextPage));
+    setSearchParams(params);
+  };
+
+  const openProduct = (productId) => {
+    shopify.intents.invoke?.("edit:shopify/Product", {
+      value: `gid://shopify/Product/${productId}`,
+    });
+  };
 
   return (
-    <s-page heading="Shopify app template">
-      <s-button slot="primary-action" onClick={generateProduct}>
-        Generate a product
-      </s-button>
+    <s-page heading="Back in stock requests">
+      {notConfigured && (
+        <s-banner tone="warning" heading="Notifications aren't configured">
+          <s-paragraph>
+            Subscribers won&apos;t be notified until you{" "}
+            <s-link href="/app/settings">set up a notification provider</s-link>
+            .
+          </s-paragraph>
+        </s-banner>
+      )}
 
-      <s-section heading="Congrats on creating a new Shopify app 🎉">
-        <s-paragraph>
-          This embedded app template uses{" "}
-          <s-link
-            href="https://shopify.dev/docs/apps/tools/app-bridge"
-            target="_blank"
-          >
-            App Bridge
-          </s-link>{" "}
-          interface examples like an{" "}
-          <s-link href="/app/additional">additional page in the app nav</s-link>
-          , as well as an{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            Admin GraphQL
-          </s-link>{" "}
-          mutation demo, to provide a starting point for app development.
-        </s-paragraph>
-      </s-section>
-      <s-section heading="Get started with products">
-        <s-paragraph>
-          Generate a product with GraphQL and get the JSON output for that
-          product. Learn more about the{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql/latest/mutations/productCreate"
-            target="_blank"
-          >
-            productCreate
-          </s-link>{" "}
-          mutation in our API references.
-        </s-paragraph>
-        <s-stack direction="inline" gap="base">
-          <s-button
-            onClick={generateProduct}
-            {...(isLoading ? { loading: true } : {})}
-          >
-            Generate a product
-          </s-button>
-          {fetcher.data?.product && (
-            <s-button
-              onClick={() => {
-                shopify.intents.invoke?.("edit:shopify/Product", {
-                  value: fetcher.data?.product?.id,
-                });
-              }}
-              target="_blank"
-              variant="tertiary"
-            >
-              Edit product
-            </s-button>
-          )}
-        </s-stack>
-        {fetcher.data?.product && (
-          <s-section heading="productCreate mutation">
+      <s-section padding="none">
+        <s-table
+          paginate
+          hasPreviousPage={page > 1}
+          hasNextPage={page < pageCount}
+          onPreviousPage={() => goToPage(page - 1)}
+          onNextPage={() => goToPage(page + 1)}
+          loading={busy}
+        >
+          <Form method="get" slot="filters">
             <s-stack direction="block" gap="base">
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.product, null, 2)}</code>
-                </pre>
-              </s-box>
-
-              <s-heading>productVariantsBulkUpdate mutation</s-heading>
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.variant, null, 2)}</code>
-                </pre>
-              </s-box>
+              <s-grid gridTemplateColumns="2fr 1fr 1fr 1fr" gap="base">
+                <s-search-field
+                  label="Search by email or phone"
+                  labelAccessibilityVisibility="exclusive"
+                  name="q"
+                  placeholder="Search by email or phone"
+                  defaultValue={searchParams.get("q") || ""}
+                />
+                <s-select
+                  label="Status"
+                  labelAccessibilityVisibility="exclusive"
+                  name="status"
+                  value={searchParams.get("status") || ""}
+                >
+                  <s-option value="">All statuses</s-option>
+                  {statuses.map((status) => (
+                    <s-option key={status} value={status}>
+                      {status}
+                    </s-option>
+                  ))}
+                </s-select>
+                <s-text-field
+                  label="Product ID"
+                  labelAccessibilityVisibility="exclusive"
+                  name="productId"
+                  placeholder="Product ID"
+                  defaultValue={searchParams.get("productId") || ""}
+                />
+                <s-text-field
+                  label="Variant ID"
+                  labelAccessibilityVisibility="exclusive"
+                  name="variantId"
+                  placeholder="Variant ID"
+                  defaultValue={searchParams.get("variantId") || ""}
+                />
+              </s-grid>
+              <s-stack direction="inline" gap="base" alignItems="end">
+                <s-date-field
+                  label="From"
+                  name="from"
+                  defaultValue={searchParams.get("from") || ""}
+                />
+                <s-date-field
+                  label="To"
+                  name="to"
+                  defaultValue={searchParams.get("to") || ""}
+                />
+                <s-button type="submit">Filter</s-button>
+                <s-button href="/app" variant="tertiary">
+                  Clear
+                </s-button>
+              </s-stack>
+              {selected.size > 0 && (
+                <s-stack direction="inline" gap="base" alignItems="center">
+                  <s-text>{selected.size} selected</s-text>
+                  <s-button onClick={() => runBulk("notify")} disabled={busy}>
+                    Notify now
+                  </s-button>
+                  <s-button onClick={() => runBulk("requeue")} disabled={busy}>
+                    Re-queue
+                  </s-button>
+                  <s-button
+                    tone="critical"
+                    onClick={() => runBulk("cancel")}
+                    disabled={busy}
+                  >
+                    Cancel
+                  </s-button>
+                </s-stack>
+              )}
             </s-stack>
-          </s-section>
-        )}
+          </Form>
+
+          <s-table-header-row>
+            <s-table-header>
+              <s-checkbox
+                accessibilityLabel="Select all requests on this page"
+                checked={allSelected}
+                onChange={toggleAll}
+              />
+            </s-table-header>
+            <s-table-header listSlot="primary">Subscriber</s-table-header>
+            <s-table-header>Channel</s-table-header>
+            <s-table-header>Product</s-table-header>
+            <s-table-header>Variant</s-table-header>
+            <s-table-header listSlot="inline">Status</s-table-header>
+            <s-table-header>Requested</s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {requests.map((request) => (
+              <s-table-row key={request.id}>
+                <s-table-cell>
+                  <s-checkbox
+                    accessibilityLabel={`Select request from ${request.email ?? request.phone}`}
+                    checked={selected.has(request.id)}
+                    onChange={() => toggle(request.id)}
+                  />
+                </s-table-cell>
+                <s-table-cell>
+                  <s-link href={`/app/requests/${request.id}`}>
+                    {request.channel === "sms" ? request.phone : request.email}
+                  </s-link>
+                </s-table-cell>
+                <s-table-cell>
+                  {request.channel === "sms" ? "SMS" : "Email"}
+                </s-table-cell>
+                <s-table-cell>
+                  <s-link onClick={() => openProduct(request.productId)}>
+                    {request.productId}
+                  </s-link>
+                </s-table-cell>
+                <s-table-cell>{request.variantId}</s-table-cell>
+                <s-table-cell>
+                  <s-stack direction="block" gap="small-500">
+                    <s-badge tone={STATUS_TONES[request.status] ?? "neutral"}>
+                      {request.status}
+                    </s-badge>
+                    {request.statusReason && (
+                      <s-text color="subdued">
+                        {request.statusReason.replaceAll("_", " ")}
+                      </s-text>
+                    )}
+                  </s-stack>
+                </s-table-cell>
+                <s-table-cell>
+                  {new Date(request.createdAt).toLocaleString()}
+                </s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
       </s-section>
 
-      <s-section slot="aside" heading="App template specs">
+      <s-section slot="aside" heading="Summary">
         <s-paragraph>
-          <s-text>Framework: </s-text>
-          <s-link href="https://reactrouter.com/" target="_blank">
-            React Router
-          </s-link>
+          {total} matching request(s), page {page} of {pageCount}.
         </s-paragraph>
-        <s-paragraph>
-          <s-text>Interface: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/app-home/using-polaris-components"
-            target="_blank"
-          >
-            Polaris web components
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>API: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            GraphQL
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Database: </s-text>
-          <s-link href="https://www.prisma.io/" target="_blank">
-            Prisma
-          </s-link>
-        </s-paragraph>
-      </s-section>
-
-      <s-section slot="aside" heading="Next steps">
-        <s-unordered-list>
-          <s-list-item>
-            Build an{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/getting-started/build-app-example"
-              target="_blank"
-            >
-              example app
-            </s-link>
-          </s-list-item>
-          <s-list-item>
-            Explore Shopify&apos;s API with{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/tools/graphiql-admin-api"
-              target="_blank"
-            >
-              GraphiQL
-            </s-link>
-          </s-list-item>
-        </s-unordered-list>
       </s-section>
     </s-page>
   );
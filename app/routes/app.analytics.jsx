@@ -0,0 +1,268 @@
+import { useState } from "react";
+import { useLoaderData, useSearchParams } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getDemandAnalytics } from "../models/analytics.server";
+import { getShopSettings } from "../models/shopSettings.server";
+
+const RANGES = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHART_VARIANTS = 10;
+
+/**
+ * The variants with the most new requests in the period, offered as filters
+ * for the requests per day chart.
+ */
+function mostRequestedVariants(dailyRequests) {
+  const totals = new Map();
+  for (const row of dailyRequests) {
+    totals.set(row.variantId, (totals.get(row.variantId) ?? 0) + row.count);
+  }
+
+  return [...totals]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CHART_VARIANTS)
+    .map(([variantId]) => variantId);
+}
+
+/**
+ * Sums the per-variant rows into one bar per day, optionally for a single
+ * variant.
+ */
+function requestsPerDay(dailyRequests, variantId) {
+  const days = new Map();
+  for (const row of dailyRequests) {
+    if (variantId && row.variantId !== variantId) continue;
+    days.set(row.day, (days.get(row.day) ?? 0) + row.count);
+  }
+
+  return [...days].map(([day, count]) => ({ key: day, value: count }));
+}
+
+/**
+ * Resolves variant ids to "Product - Variant" names for the tables.
+ */
+async function variantNames(admin, variantIds) {
+  if (variantIds.length === 0) return {};
+
+  const res = await admin.graphql(
+    `#graphql
+    query analyticsVariantNames($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          displayName
+        }
+      }
+    }`,
+    {
+      variables: {
+        ids: variantIds.map((id) => `gid://shopify/ProductVariant/${id}`),
+      },
+    },
+  );
+  const json = await res.json();
+
+  return Object.fromEntries(
+    (json?.data?.nodes ?? [])
+      .filter(Boolean)
+      .map((node) => [node.id.split("/").pop(), node.displayName]),
+  );
+}
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const days = RANGES.includes(Number(url.searchParams.get("days")))
+    ? Number(url.searchParams.get("days"))
+    : 30;
+
+  const [analytics, settings] = await Promise.all([
+    getDemandAnalytics(session.shop, new Date(Date.now() - days * DAY_MS)),
+    getShopSettings(session.shop),
+  ]);
+
+  const names = await variantNames(admin, [
+    ...new Set([
+      ...analytics.topWanted.map((row) => row.variantId),
+      ...mostRequestedVariants(analytics.dailyRequests),
+      ...analytics.topConverting.map((row) => row.variantId),
+    ]),
+  ]);
+
+  return {
+    days,
+    ranges: RANGES,
+    attributionWindowDays: settings?.attributionWindowDays ?? 7,
+    names,
+    ...analytics,
+  };
+};
+
+function barChart(data, label) {
+  const max = Math.max(1, ...data.map((d) => d.value));
+
+  return (
+    <div
+      role="img"
+      aria-label={label}
+      style={{ display: "flex", alignItems: "flex-end", gap: 2, height: 160 }}
+    >
+      {data.map((d) => (
+        <div
+          key={d.key}
+          title={`${d.key}: ${d.value}`}
+          style={{
+            flex: 1,
+            height: `${(d.value / max) * 100}%`,
+            minHeight: d.value > 0 ? 2 : 0,
+            background: "var(--p-color-bg-fill-brand, #303030)",
+            borderRadius: "2px 2px 0 0",
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function Analytics() {
+  const {
+    days,
+    ranges,
+    attributionWindowDays,
+    names,
+    topWanted,
+    dailyRequests,
+    sendOutcomes,
+    notified,
+    converted,
+    revenue,
+    topConverting,
+  } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const [chartVariant, setChartVariant] = useState("");
+
+  const conversionRate = notified
+    ? `${((converted / notified) * 100).toFixed(1)}%`
+    : "—";
+  const variantLabel = (variantId) => names[variantId] ?? variantId;
+  const chartVariants = mostRequestedVariants(dailyRequests);
+  const chartDays = requestsPerDay(dailyRequests, chartVariant);
+
+  return (
+    <s-page heading="Demand analytics">
+      <s-section heading="Requests per day">
+        <s-stack direction="block" gap="base">
+          <s-select
+            label="Date range"
+            value={String(days)}
+            onChange={(event) => {
+              setChartVariant("");
+              setSearchParams({ days: event.currentTarget.value });
+            }}
+          >
+            {ranges.map((range) => (
+              <s-option key={range} value={String(range)}>
+                Last {range} days
+              </s-option>
+            ))}
+          </s-select>
+          <s-select
+            label="Variant"
+            value={chartVariant}
+            onChange={(event) => setChartVariant(event.currentTarget.value)}
+          >
+            <s-option value="">All variants</s-option>
+            {chartVariants.map((variantId) => (
+              <s-option key={variantId} value={variantId}>
+                {variantLabel(variantId)}
+              </s-option>
+            ))}
+          </s-select>
+          {chartDays.length > 0 ? (
+            barChart(
+              chartDays,
+              chartVariant
+                ? `New back in stock requests per day for ${variantLabel(chartVariant)}`
+                : "New back in stock requests per day",
+            )
+          ) : (
+            <s-paragraph>No requests in this period.</s-paragraph>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Most wanted variants">
+        <s-table>
+          <s-table-header-row>
+            <s-table-header listSlot="primary">Variant</s-table-header>
+            <s-table-header listSlot="inline" format="numeric">
+              Waiting
+            </s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {topWanted.map((row) => (
+              <s-table-row key={row.variantId}>
+                <s-table-cell>{variantLabel(row.variantId)}</s-table-cell>
+                <s-table-cell>{row.pending}</s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+      </s-section>
+
+      <s-section heading="Conversions after notification">
+        <s-table>
+          <s-table-header-row>
+            <s-table-header listSlot="primary">Variant</s-table-header>
+            <s-table-header format="numeric">Orders</s-table-header>
+            <s-table-header format="numeric">Units</s-table-header>
+            <s-table-header format="currency">Revenue</s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {topConverting.map((row) => (
+              <s-table-row key={`${row.variantId}-${row.currency}`}>
+                <s-table-cell>{variantLabel(row.variantId)}</s-table-cell>
+                <s-table-cell>{row.conversions}</s-table-cell>
+                <s-table-cell>{row.units}</s-table-cell>
+                <s-table-cell>
+                  {row.revenue} {row.currency}
+                </s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+      </s-section>
+
+      <s-section slot="aside" heading="Notifications">
+        <s-stack direction="block" gap="small">
+          <s-text>Subscribers notified: {notified}</s-text>
+          <s-text>Sent: {sendOutcomes.completed ?? 0}</s-text>
+          <s-text>Waiting or retrying: {sendOutcomes.pending ?? 0}</s-text>
+          <s-text>Failed permanently: {sendOutcomes.dead ?? 0}</s-text>
+        </s-stack>
+      </s-section>
+
+      <s-section slot="aside" heading="Conversion">
+        <s-stack direction="block" gap="small">
+          <s-text>Subscribers who bought: {converted}</s-text>
+          <s-text>Conversion rate: {conversionRate}</s-text>
+          {revenue.map((row) => (
+            <s-text key={row.currency}>
+              Revenue: {row.amount} {row.currency}
+            </s-text>
+          ))}
+          <s-paragraph>
+            Orders count when they include the variant and are placed within{" "}
+            {attributionWindowDays} days of the notification. Change this in{" "}
+            <s-link href="/app/settings">settings</s-link>.
+          </s-paragraph>
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
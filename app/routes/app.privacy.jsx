@@ -0,0 +1,148 @@
+import { useFetcher, useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { collectCustomerData } from "../privacy.server";
+import { listAuditEntries, recordAudit } from "../models/auditLog.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const dataRequests = await listAuditEntries(
+    session.shop,
+    "customers/data_request",
+  );
+
+  // Entries from before exports stopped being logged hold the requests
+  // themselves rather than a count
+  const requestCount = (requests) =>
+    Array.isArray(requests) ? requests.length : (requests ?? 0);
+
+  return {
+    dataRequests: dataRequests.map((entry) => ({
+      id: entry.id,
+      customerId: entry.subject,
+      requests: requestCount(entry.details?.requests),
+      createdAt: entry.createdAt,
+    })),
+  };
+};
+
+/**
+ * Builds a customer's export on demand, so it's never stored. The merchant
+ * identifies the customer with the details from Shopify's data request.
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const customer = {
+    email: String(formData.get("email") ?? "").trim() || null,
+    phone: String(formData.get("phone") ?? "").trim() || null,
+    id: String(formData.get("customerId") ?? "").trim() || null,
+  };
+  if (!customer.email && !customer.phone && !customer.id) {
+    return {
+      errors: [
+        {
+          field: "email",
+          message: "Enter the customer's email, phone or customer ID",
+        },
+      ],
+    };
+  }
+
+  const data = await collectCustomerData(session.shop, customer);
+
+  await recordAudit(session.shop, "customers/data_export", {
+    subject: customer.id,
+    details: {
+      requests: data.requests.length,
+      conversions: data.conversions.length,
+    },
+  });
+
+  return { data };
+};
+
+function download(data) {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "customer-data.json";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function Privacy() {
+  const { dataRequests } = useLoaderData();
+  const fetcher = useFetcher();
+  const result = fetcher.data;
+  const error = result?.errors?.[0]?.message;
+
+  return (
+    <s-page heading="Customer data requests">
+      <s-section heading="Export a customer's data">
+        <fetcher.Form method="post">
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Use the details from the customer data request Shopify sent you.
+              The export covers their back in stock requests and the orders
+              attributed to them.
+            </s-paragraph>
+            <s-email-field label="Email" name="email" error={error} />
+            <s-text-field label="Phone" name="phone" />
+            <s-text-field label="Customer ID" name="customerId" />
+            <s-button
+              type="submit"
+              {...(fetcher.state !== "idle" ? { loading: true } : {})}
+            >
+              Find data
+            </s-button>
+          </s-stack>
+        </fetcher.Form>
+        {result?.data && (
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Found {result.data.requests.length} request(s) and{" "}
+              {result.data.conversions.length} attributed order(s).
+            </s-paragraph>
+            <s-button onClick={() => download(result.data)}>
+              Download JSON
+            </s-button>
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading="Requests received from Shopify">
+        {dataRequests.length === 0 ? (
+          <s-paragraph>No customer data requests yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Received</s-table-header>
+              <s-table-header>Customer ID</s-table-header>
+              <s-table-header format="numeric">Requests held</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {dataRequests.map((entry) => (
+                <s-table-row key={entry.id}>
+                  <s-table-cell>
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </s-table-cell>
+                  <s-table-cell>{entry.customerId ?? "—"}</s-table-cell>
+                  <s-table-cell>{entry.requests}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,179 @@
+import { useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { findRequestsByIds } from "../models/backInStockRequest.server";
+import { listRequestJobs } from "../models/notificationJob.server";
+import { listNotificationAttempts } from "../models/notificationAttempt.server";
+
+const JOB_TONES = {
+  pending: "info",
+  processing: "caution",
+  completed: "success",
+  dead: "critical",
+  halted: "neutral",
+};
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [backInStockRequest] = await findRequestsByIds(session.shop, [
+    params.id,
+  ]);
+  if (!backInStockRequest) {
+    throw new Response("Request not found", { status: 404 });
+  }
+
+  const [jobs, attempts] = await Promise.all([
+    listRequestJobs(session.shop, params.id),
+    listNotificationAttempts(session.shop, params.id),
+  ]);
+
+  return { request: backInStockRequest, jobs, attempts };
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+export default function RequestDetail() {
+  const { request, jobs, attempts } = useLoaderData();
+  const contact = request.channel === "sms" ? request.phone : request.email;
+
+  return (
+    <s-page heading={contact}>
+      <s-link slot="breadcrumb-actions" href="/app">
+        Requests
+      </s-link>
+
+      <s-section heading="Delivery log">
+        {attempts.length === 0 ? (
+          <s-paragraph>No notification has been attempted yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Sent</s-table-header>
+              <s-table-header>Event</s-table-header>
+              <s-table-header>Provider</s-table-header>
+              <s-table-header listSlot="inline">Result</s-table-header>
+              <s-table-header format="numeric">HTTP status</s-table-header>
+              <s-table-header format="numeric">Latency</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {attempts.map((attempt) => (
+                <s-table-row key={attempt.id}>
+                  <s-table-cell>{formatDate(attempt.createdAt)}</s-table-cell>
+                  <s-table-cell>
+                    {attempt.type.replaceAll("_", " ")}
+                  </s-table-cell>
+                  <s-table-cell>{attempt.provider}</s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="block" gap="small-500">
+                      <s-badge
+                        tone={
+                          attempt.status === "sent" ? "success" : "critical"
+                        }
+                      >
+                        {attempt.status}
+                      </s-badge>
+                      {attempt.error && (
+                        <s-text color="subdued">{attempt.error}</s-text>
+                      )}
+                    </s-stack>
+                  </s-table-cell>
+                  <s-table-cell>{attempt.httpStatus ?? "—"}</s-table-cell>
+                  <s-table-cell>{attempt.latencyMs} ms</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Queued jobs">
+        {jobs.length === 0 ? (
+          <s-paragraph>Nothing has been queued for this request.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Queued</s-table-header>
+              <s-table-header>Event</s-table-header>
+              <s-table-header listSlot="inline">Status</s-table-header>
+              <s-table-header format="numeric">Attempts</s-table-header>
+              <s-table-header>Next run</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {jobs.map((job) => (
+                <s-table-row key={job.id}>
+                  <s-table-cell>{formatDate(job.createdAt)}</s-table-cell>
+                  <s-table-cell>{job.type.replaceAll("_", " ")}</s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={JOB_TONES[job.status] ?? "neutral"}>
+                      {job.status}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>
+                    {job.attempts} of {job.maxAttempts}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {job.status === "pending" ? formatDate(job.runAt) : "—"}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section slot="aside" heading="Request">
+        <s-stack direction="block" gap="small">
+          <s-text>
+            Channel: {request.channel === "sms" ? "SMS" : "Email"}
+          </s-text>
+          <s-text>Product: {request.productId}</s-text>
+          <s-text>Variant: {request.variantId}</s-text>
+          <s-text>
+            Status: {request.status}
+            {request.statusReason &&
+              ` (${request.statusReason.replaceAll("_", " ")})`}
+          </s-text>
+          <s-text>Requested: {formatDate(request.createdAt)}</s-text>
+          <s-text>Confirmed: {formatDate(request.confirmedAt)}</s-text>
+          <s-text>Notified: {formatDate(request.notifiedAt)}</s-text>
+          <s-text>Cancelled: {formatDate(request.cancelledAt)}</s-text>
+        </s-stack>
+      </s-section>
+
+      <s-section slot="aside" heading="Source">
+        <s-stack direction="block" gap="small">
+          <s-text>Locale: {request.locale ?? "—"}</s-text>
+          <s-text>Market: {request.market ?? "—"}</s-text>
+          <s-text>Currency: {request.currency ?? "—"}</s-text>
+          <s-text>Page: {request.referrer ?? "—"}</s-text>
+          <s-text>
+            Customer:{" "}
+            {request.customerId ? (
+              <s-link
+                onClick={() =>
+                  shopify.intents.invoke?.("edit:shopify/Customer", {
+                    value: request.customerId,
+                  })
+                }
+              >
+                {request.customerId.split("/").pop()}
+              </s-link>
+            ) : (
+              "Guest"
+            )}
+          </s-text>
+          <s-text>
+            Marketing consent: {request.marketingConsent ? "Yes" : "No"}
+          </s-text>
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,794 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getProvider, listProviders } from "../notifications/registry.server";
+import {
+  getSmsProvider,
+  listSmsProviders,
+} from "../notifications/smsRegistry.server";
+import {
+  getNotificationSettings,
+  getSmsSettings,
+  saveNotificationSettings,
+  saveSmsSettings,
+} from "../notifications/settings.server";
+import {
+  getShopSettings,
+  upsertShopSettings,
+} from "../models/shopSettings.server";
+import { ensureRequestMetaobjectDefinition } from "../metaobjectDefinition.server";
+import { CONFIRMATION_TTL_HOURS } from "../notifications/confirmation.server";
+import { fetchLocations } from "../inventory.server";
+import { logger } from "../logger.server";
+import {
+  deleteRestockRule,
+  listRestockRules,
+  upsertRestockRule,
+} from "../models/restockRule.server";
+
+/**
+ * Secrets never leave the server; the form only learns whether one is set.
+ */
+function maskSecrets(provider, config) {
+  const values = {};
+  const secretsSet = {};
+
+  for (const field of provider?.fields ?? []) {
+    if (field.secret) {
+      values[field.key] = "";
+      secretsSet[field.key] = Boolean(config?.[field.key]);
+    } else {
+      values[field.key] = config?.[field.key] ?? "";
+    }
+  }
+
+  return { values, secretsSet };
+}
+
+/**
+ * A provider's config from its settings form. A blank secret means "keep
+ * what's saved" when the provider is unchanged.
+ */
+function configFromForm(formData, provider, current) {
+  const config = {};
+  for (const field of provider.fields) {
+    const value = String(formData.get(field.key) ?? "").trim();
+
+    config[field.key] =
+      field.secret && !value && provider.name === current.providerName
+        ? (current.config?.[field.key] ?? "")
+        : value;
+  }
+
+  return config;
+}
+
+/**
+ * Restock rule fields from a form. Blank values are null, meaning "inherit"
+ * for product rules; the shop default threshold can't be blank.
+ */
+function parseRestockFields(formData, { requireMin }) {
+  const minRaw = String(formData.get("minAvailable") ?? "").trim();
+  const multiplierRaw = String(formData.get("multiplier") ?? "").trim();
+  const data = {
+    minAvailable: minRaw === "" ? null : Number(minRaw),
+    multiplier: multiplierRaw === "" ? null : Number(multiplierRaw),
+  };
+  const errors = [];
+
+  const minValid =
+    data.minAvailable === null
+      ? !requireMin
+      : Number.isInteger(data.minAvailable) && data.minAvailable >= 1;
+  if (!minValid) {
+    errors.push({
+      field: "minAvailable",
+      message: "Enter a whole number of units, 1 or more",
+    });
+  }
+
+  if (
+    data.multiplier !== null &&
+    !(data.multiplier > 0 && data.multiplier <= 100)
+  ) {
+    errors.push({
+      field: "multiplier",
+      message: "Enter a multiplier above 0 and up to 100, or leave blank",
+    });
+  }
+
+  return { data, errors };
+}
+
+async function productTitles(admin, productIds) {
+  if (productIds.length === 0) return {};
+
+  const res = await admin.graphql(
+    `#graphql
+    query restockRuleProducts($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+        }
+      }
+    }`,
+    {
+      variables: {
+        ids: productIds.map((id) => `gid://shopify/Product/${id}`),
+      },
+    },
+  );
+  const json = await res.json();
+
+  return Object.fromEntries(
+    (json?.data?.nodes ?? [])
+      .filter(Boolean)
+      .map((node) => [node.id.split("/").pop(), node.title]),
+  );
+}
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { providerName, provider, config, errors } =
+    await getNotificationSettings(session.shop, admin);
+  const sms = await getSmsSettings(session.shop);
+  const settings = await getShopSettings(session.shop);
+  const rules = await listRestockRules(session.shop);
+  const titles = await productTitles(
+    admin,
+    rules.map((rule) => rule.productId),
+  );
+
+  const locations = await fetchLocations(admin);
+
+  return {
+    locations: locations.map((location) => ({
+      id: location.id.split("/").pop(),
+      name: location.name,
+      fulfillsOnlineOrders: location.fulfillsOnlineOrders,
+    })),
+    restockLocationIds: settings?.restockLocationIds ?? [],
+    restockMinAvailable: settings?.restockMinAvailable ?? 1,
+    restockMultiplier: settings?.restockMultiplier ?? null,
+    restockRules: rules.map((rule) => ({
+      id: rule.id,
+      productId: rule.productId,
+      productTitle: titles[rule.productId] ?? `Product ${rule.productId}`,
+      minAvailable: rule.minAvailable,
+      multiplier: rule.multiplier,
+    })),
+    attributionWindowDays: settings?.attributionWindowDays ?? 7,
+    doubleOptIn: settings?.doubleOptIn ?? false,
+    notifyUnavailable: settings?.notifyUnavailable ?? false,
+    tagCustomers: settings?.tagCustomers ?? false,
+    mirrorMetaobjects: settings?.mirrorMetaobjects ?? true,
+    confirmationTtlHours: CONFIRMATION_TTL_HOURS,
+    providerName,
+    providers: listProviders(),
+    ...maskSecrets(provider, config),
+    errors,
+    sms: {
+      providerName: sms.providerName,
+      providers: listSmsProviders(),
+      ...maskSecrets(sms.provider, sms.config),
+      errors: sms.errors,
+    },
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const current = await getNotificationSettings(session.shop, admin);
+
+  if (intent === "analytics") {
+    const days = Number(formData.get("attributionWindowDays"));
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return {
+        intent,
+        errors: [
+          {
+            field: "attributionWindowDays",
+            message: "Enter a whole number of days from 1 to 90",
+          },
+        ],
+      };
+    }
+
+    await upsertShopSettings(session.shop, { attributionWindowDays: days });
+    return { intent, ok: true };
+  }
+
+  if (intent === "subscriptions") {
+    await upsertShopSettings(session.shop, {
+      doubleOptIn: formData.get("doubleOptIn") === "on",
+      notifyUnavailable: formData.get("notifyUnavailable") === "on",
+      tagCustomers: formData.get("tagCustomers") === "on",
+      mirrorMetaobjects: formData.get("mirrorMetaobjects") === "on",
+    });
+    // Shops that turn mirroring on after install have no definition yet
+    try {
+      await ensureRequestMetaobjectDefinition(admin, session.shop);
+    } catch (error) {
+      return {
+        intent,
+        errors: [{ field: "mirrorMetaobjects", message: error.message }],
+      };
+    }
+    return { intent, ok: true };
+  }
+
+  if (intent === "restock") {
+    const { data, errors } = parseRestockFields(formData, { requireMin: true });
+    if (errors.length) return { intent, errors };
+
+    await upsertShopSettings(session.shop, {
+      restockMinAvailable: data.minAvailable,
+      restockMultiplier: data.multiplier,
+    });
+    return { intent, ok: true };
+  }
+
+  if (intent === "locations") {
+    await upsertShopSettings(session.shop, {
+      restockLocationIds: formData.getAll("locationIds").map(String),
+    });
+    return { intent, ok: true };
+  }
+
+  if (intent === "restockRule") {
+    const productId = String(formData.get("productId") ?? "")
+      .split("/")
+      .pop();
+    if (!productId) {
+      return {
+        intent,
+        errors: [{ field: "productId", message: "Choose a product" }],
+      };
+    }
+
+    const { data, errors } = parseRestockFields(formData, {
+      requireMin: false,
+    });
+    if (errors.length) return { intent, errors };
+
+    await upsertRestockRule(session.shop, productId, data);
+    return { intent, ok: true };
+  }
+
+  if (intent === "deleteRestockRule") {
+    await deleteRestockRule(session.shop, String(formData.get("id")));
+    return { intent, ok: true };
+  }
+
+  if (intent === "test") {
+    if (current.errors.length) {
+      return {
+        intent,
+        errors: [{ field: "test", message: "Save valid settings first" }],
+      };
+    }
+
+    const email = String(formData.get("testEmail") || "").trim();
+    if (!email) {
+      return {
+        intent,
+        errors: [
+          { field: "testEmail", message: "Enter an email to test with" },
+        ],
+      };
+    }
+
+    try {
+      await current.provider.send(current.config, {
+        shop: session.shop,
+        email,
+        productId: "0",
+        variantId: "0",
+        productTitle: "Test product",
+        productUrl: `https://${session.shop}`,
+        imageUrl: null,
+        test: true,
+      });
+      return { intent, ok: true };
+    } catch (error) {
+      // Only the status goes back to the browser: the endpoint's answer (or
+      // why it couldn't be reached) could expose whatever it points at
+      logger.warn("Test event failed", {
+        shop: session.shop,
+        provider: current.providerName,
+        error,
+      });
+      return {
+        intent,
+        status: error.status ?? null,
+        errors: [
+          {
+            field: "test",
+            message: error.status
+              ? `The provider answered with HTTP ${error.status}`
+              : "The provider couldn't be reached",
+          },
+        ],
+      };
+    }
+  }
+
+  if (intent === "sms") {
+    const smsProvider = getSmsProvider(String(formData.get("smsProvider")));
+    if (!smsProvider) {
+      return {
+        intent,
+        errors: [{ field: "smsProvider", message: "Choose an SMS provider" }],
+      };
+    }
+
+    const config = configFromForm(
+      formData,
+      smsProvider,
+      await getSmsSettings(session.shop),
+    );
+    const errors = smsProvider.validateConfig(config);
+    if (errors.length) return { intent, errors };
+
+    await saveSmsSettings(session.shop, smsProvider.name, config);
+    return { intent, ok: true };
+  }
+
+  const providerName = String(formData.get("provider"));
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return {
+      intent,
+      errors: [{ field: "provider", message: "Choose a provider" }],
+    };
+  }
+
+  const config = configFromForm(formData, provider, current);
+  const errors = provider.validateConfig(config);
+  if (errors.length) {
+    return { intent, errors };
+  }
+
+  await saveNotificationSettings(session.shop, providerName, config);
+
+  return { intent, ok: true };
+};
+
+/**
+ * The inputs for a provider's `fields`. Values only prefill while the
+ * saved provider is the one selected.
+ */
+function ProviderFields({ provider, saved, values, secretsSet, error }) {
+  return provider?.fields.map((field) => {
+    const key = `${provider.name}-${field.key}`;
+
+    if (field.options) {
+      return (
+        <s-select
+          key={key}
+          label={field.label}
+          name={field.key}
+          value={saved ? values[field.key] : ""}
+          error={error(field.key)}
+        >
+          <s-option value="">Select…</s-option>
+          {field.options.map((option) => (
+            <s-option key={option} value={option}>
+              {option}
+            </s-option>
+          ))}
+        </s-select>
+      );
+    }
+
+    if (field.secret) {
+      return (
+        <s-password-field
+          key={key}
+          label={field.label}
+          name={field.key}
+          placeholder={
+            saved && secretsSet[field.key] ? "Saved — leave blank to keep" : ""
+          }
+          error={error(field.key)}
+        />
+      );
+    }
+
+    return (
+      <s-text-field
+        key={key}
+        label={field.label}
+        name={field.key}
+        defaultValue={saved ? values[field.key] : ""}
+        error={error(field.key)}
+      />
+    );
+  });
+}
+
+export default function Settings() {
+  const {
+    attributionWindowDays,
+    doubleOptIn,
+    notifyUnavailable,
+    tagCustomers,
+    mirrorMetaobjects,
+    locations,
+    restockLocationIds,
+    restockMinAvailable,
+    restockMultiplier,
+    restockRules,
+    confirmationTtlHours,
+    providerName,
+    providers,
+    values,
+    secretsSet,
+    errors,
+    sms,
+  } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [selected, setSelected] = useState(providerName);
+  const [selectedSms, setSelectedSms] = useState(sms.providerName);
+  const [ruleProduct, setRuleProduct] = useState(null);
+
+  const provider = providers.find((p) => p.name === selected);
+  const smsProvider = sms.providers.find((p) => p.name === selectedSms);
+  const result = fetcher.data;
+  const isSaving =
+    fetcher.state !== "idle" && fetcher.formData?.get("intent") === "save";
+  const isTesting =
+    fetcher.state !== "idle" && fetcher.formData?.get("intent") === "test";
+
+  const fieldError = (key) =>
+    result?.errors?.find((e) => e.field === key)?.message;
+  // The restock forms share field names, so only show a form its own errors
+  const formError = (intent, key) =>
+    result?.intent === intent ? fieldError(key) : undefined;
+
+  const pickRuleProduct = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "select",
+    });
+    if (selection?.[0]) {
+      setRuleProduct({ id: selection[0].id, title: selection[0].title });
+    }
+  };
+
+  useEffect(() => {
+    if (result?.intent === "restockRule" && result.ok) setRuleProduct(null);
+  }, [result]);
+
+  useEffect(() => {
+    if (!result?.ok) return;
+    shopify.toast.show(
+      result.intent === "test" ? "Test event sent" : "Settings saved",
+    );
+  }, [result, shopify]);
+
+  return (
+    <s-page heading="Notification settings">
+      {errors.length > 0 && (
+        <s-banner tone="warning" heading="Notifications aren't configured">
+          <s-paragraph>
+            Back in stock requests are being collected, but no one will be
+            notified until a provider is set up below.
+          </s-paragraph>
+          <s-unordered-list>
+            {errors.map((error) => (
+              <s-list-item key={error.field}>{error.message}</s-list-item>
+            ))}
+          </s-unordered-list>
+        </s-banner>
+      )}
+
+      <s-section heading="Provider">
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="save" />
+          <s-stack direction="block" gap="base">
+            <s-select
+              label="Send notifications with"
+              name="provider"
+              value={selected}
+              onChange={(event) => setSelected(event.currentTarget.value)}
+            >
+              {providers.map((p) => (
+                <s-option key={p.name} value={p.name}>
+                  {p.label}
+                </s-option>
+              ))}
+            </s-select>
+
+            <ProviderFields
+              provider={provider}
+              saved={selected === providerName}
+              values={values}
+              secretsSet={secretsSet}
+              error={(key) => formError("save", key)}
+            />
+
+            <s-button
+              type="submit"
+              variant="primary"
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save
+            </s-button>
+          </s-stack>
+        </fetcher.Form>
+      </s-section>
+
+      <s-section heading="Send a test event">
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="test" />
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Sends a sample Back In Stock event with the saved settings.
+            </s-paragraph>
+            <s-email-field
+              label="Send to"
+              name="testEmail"
+              error={fieldError("testEmail")}
+            />
+            {result?.intent === "test" && fieldError("test") && (
+              <s-banner tone="critical" heading="Test event failed">
+                <s-paragraph>{fieldError("test")}</s-paragraph>
+              </s-banner>
+            )}
+            <s-button
+              type="submit"
+              disabled={errors.length > 0}
+              {...(isTesting ? { loading: true } : {})}
+            >
+              Send test event
+            </s-button>
+          </s-stack>
+        </fetcher.Form>
+      </s-section>
+
+      <s-section heading="SMS">
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="sms" />
+          <s-stack direction="block" gap="base">
+            {sms.errors.length > 0 && (
+              <s-banner tone="warning" heading="SMS isn't configured">
+                <s-paragraph>
+                  Shoppers who sign up by text won&apos;t be notified until an
+                  SMS provider is set up.
+                </s-paragraph>
+              </s-banner>
+            )}
+            <s-select
+              label="Send text messages with"
+              name="smsProvider"
+              value={selectedSms}
+              onChange={(event) => setSelectedSms(event.currentTarget.value)}
+              error={formError("sms", "smsProvider")}
+            >
+              {sms.providers.map((p) => (
+                <s-option key={p.name} value={p.name}>
+                  {p.label}
+                </s-option>
+              ))}
+            </s-select>
+
+            <ProviderFields
+              provider={smsProvider}
+              saved={selectedSms === sms.providerName}
+              values={sms.values}
+              secretsSet={sms.secretsSet}
+              error={(key) => formError("sms", key)}
+            />
+
+            <s-button type="submit">Save</s-button>
+          </s-stack>
+        </fetcher.Form>
+      </s-section>
+
+      <s-section heading="Subscriptions">
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="subscriptions" />
+          <s-stack direction="block" gap="base">
+            <s-checkbox
+              label="Require email confirmation (double opt-in)"
+              details={`Shoppers are sent a confirmation link and only notified once they've clicked it. Unconfirmed sign-ups expire after ${confirmationTtlHours} hours.`}
+              name="doubleOptIn"
+              defaultChecked={doubleOptIn}
+            />
+            <s-checkbox
+              label="Tell subscribers when a product is no longer available"
+              details="Sends a “no longer available” event when a product is deleted, archived or unpublished, or a variant is deleted."
+              name="notifyUnavailable"
+              defaultChecked={notifyUnavailable}
+            />
+            <s-checkbox
+              label="Tag customers who join a waitlist"
+              details="When a logged-in customer signs up, tags them bis:<variant ID> and lists the variants in their back_in_stock.waitlist metafield, for customer segments. Tags come off once they're notified or the request is cancelled."
+              name="tagCustomers"
+              defaultChecked={tagCustomers}
+            />
+            <s-checkbox
+              label="Show requests in the Shopify admin"
+              details="Keeps a copy of each request as a “Back in stock request” metaobject under Content. Turning this off stops creating and updating copies; existing ones are left as they are."
+              name="mirrorMetaobjects"
+              defaultChecked={mirrorMetaobjects}
+              error={fieldError("mirrorMetaobjects")}
+            />
+            <s-button type="submit">Save</s-button>
+          </s-stack>
+        </fetcher.Form>
+      </s-section>
+
+      <s-section heading="Restock rules">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Hold notifications until enough units are back, and only notify as
+            many subscribers as the stock can serve, first come first served.
+            Everyone else stays on the waitlist for the next restock.
+          </s-paragraph>
+
+          <fetcher.Form method="post">
+            <input type="hidden" name="intent" value="restock" />
+            <s-stack direction="block" gap="base">
+              <s-number-field
+                label="Minimum available units (all products)"
+                name="minAvailable"
+                min={1}
+                defaultValue={String(restockMinAvailable)}
+                error={formError("restock", "minAvailable")}
+              />
+              <s-number-field
+                label="Subscribers per available unit"
+                details="For example 2 notifies up to 10 people when 5 units come back. Leave blank to notify everyone."
+                name="multiplier"
+                min={0}
+                step={0.1}
+                defaultValue={
+                  restockMultiplier == null ? "" : String(restockMultiplier)
+                }
+                error={formError("restock", "multiplier")}
+              />
+              <s-button type="submit">Save defaults</s-button>
+            </s-stack>
+          </fetcher.Form>
+
+          {restockRules.length > 0 && (
+            <s-table>
+              <s-table-header-row>
+                <s-table-header listSlot="primary">Product</s-table-header>
+                <s-table-header>Minimum units</s-table-header>
+                <s-table-header>Per unit</s-table-header>
+                <s-table-header />
+              </s-table-header-row>
+              <s-table-body>
+                {restockRules.map((rule) => (
+                  <s-table-row key={rule.id}>
+                    <s-table-cell>{rule.productTitle}</s-table-cell>
+                    <s-table-cell>
+                      {rule.minAvailable ?? "Default"}
+                    </s-table-cell>
+                    <s-table-cell>{rule.multiplier ?? "Default"}</s-table-cell>
+                    <s-table-cell>
+                      <fetcher.Form method="post">
+                        <input
+                          type="hidden"
+                          name="intent"
+                          value="deleteRestockRule"
+                        />
+                        <input type="hidden" name="id" value={rule.id} />
+                        <s-button type="submit" variant="tertiary">
+                          Remove
+                        </s-button>
+                      </fetcher.Form>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+
+          <fetcher.Form method="post">
+            <input type="hidden" name="intent" value="restockRule" />
+            <input
+              type="hidden"
+              name="productId"
+              value={ruleProduct?.id ?? ""}
+            />
+            <s-stack direction="block" gap="base">
+              <s-stack direction="inline" gap="base" alignItems="center">
+                <s-button onClick={pickRuleProduct}>
+                  {ruleProduct ? "Change product" : "Add a product rule"}
+                </s-button>
+                {ruleProduct && <s-text>{ruleProduct.title}</s-text>}
+              </s-stack>
+              {formError("restockRule", "productId") && (
+                <s-text tone="critical">
+                  {formError("restockRule", "productId")}
+                </s-text>
+              )}
+              {ruleProduct && (
+                <>
+                  <s-number-field
+                    key={`min-${ruleProduct.id}`}
+                    label="Minimum available units"
+                    details="Leave blank to use the default."
+                    name="minAvailable"
+                    min={1}
+                    error={formError("restockRule", "minAvailable")}
+                  />
+                  <s-number-field
+                    key={`multiplier-${ruleProduct.id}`}
+                    label="Subscribers per available unit"
+                    details="Leave blank to use the default."
+                    name="multiplier"
+                    min={0}
+                    step={0.1}
+                    error={formError("restockRule", "multiplier")}
+                  />
+                  <s-button type="submit">Save product rule</s-button>
+                </>
+              )}
+            </s-stack>
+          </fetcher.Form>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Stock locations">
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="locations" />
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Only stock at these locations counts toward &quot;back in
+              stock&quot;. With none selected, every location that fulfills
+              online orders counts.
+            </s-paragraph>
+            {locations.map((location) => (
+              <s-checkbox
+                key={location.id}
+                label={location.name}
+                details={
+                  location.fulfillsOnlineOrders
+                    ? undefined
+                    : "Doesn't fulfill online orders"
+                }
+                name="locationIds"
+                value={location.id}
+                defaultChecked={restockLocationIds.includes(location.id)}
+              />
+            ))}
+            <s-button type="submit">Save</s-button>
+          </s-stack>
+        </fetcher.Form>
+      </s-section>
+
+      <s-section heading="Analytics">
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="analytics" />
+          <s-stack direction="block" gap="base">
+            <s-number-field
+              label="Attribution window (days)"
+              details="Orders placed this long after a notification count as conversions."
+              name="attributionWindowDays"
+              min={1}
+              max={90}
+              defaultValue={String(attributionWindowDays)}
+              error={fieldError("attributionWindowDays")}
+            />
+            <s-button type="submit">Save</s-button>
+          </s-stack>
+        </fetcher.Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -1,66 +1,326 @@
 import { authenticate } from "../shopify.server";
+import { createBackInStockRequest } from "../models/backInStockRequest.server";
+import { enqueueNotificationJobs } from "../models/notificationJob.server";
+import { getShopSettings } from "../models/shopSettings.server";
+import { buildNotificationPayload } from "../notifications/payload.server";
+import { EVENT_TYPES } from "../notifications/events.server";
+import { sellableAvailable } from "../inventory.server";
+import {
+  boolean,
+  email,
+  oneOf,
+  optional,
+  phone,
+  required,
+  shopifyId,
+  text,
+  url,
+  validate,
+} from "../validation.server";
+import { signToken, verifyToken } from "../signing.server";
+import { hitRateLimit, limitFromEnv } from "../rateLimit.server";
+import { customerGid } from "../customerWaitlist.server";
+import { isbot } from "isbot";
+import { logger } from "../logger.server";
 
-export async function action({ request }) {
-  console.log("🔥 /notify route HIT");
+const IP_LIMIT = limitFromEnv("NOTIFY_RATE_LIMIT_IP", "10/60");
+// Applies to the subscriber's contact, email or phone
+const EMAIL_LIMIT = limitFromEnv("NOTIFY_RATE_LIMIT_EMAIL", "5/3600");
+// eslint-disable-next-line no-undef
+const REQUIRE_TOKEN = process.env.NOTIFY_REQUIRE_TOKEN !== "false";
+// Proxies in front of the app that append to X-Forwarded-For: Shopify's app
+// proxy, plus any load balancer of your own
+// eslint-disable-next-line no-undef
+const PROXY_HOPS = Math.max(1, Number(process.env.NOTIFY_PROXY_HOPS) || 1);
 
-  try {
-    const body = await request.json();
-    const { email, product_id, variant_id } = body;
+// Form tokens: a human takes at least a couple of seconds to fill the form in
+const TOKEN_TTL_SECONDS = 2 * 60 * 60;
+const TOKEN_MIN_AGE_SECONDS = 2;
 
-    if (!email || !product_id || !variant_id) {
-      return new Response(
-        JSON.stringify({ error: "Missing required fields" }),
-        { status: 400, headers: { "Content-Type": "application/json" } }
-      );
-    }
+// Hidden field real shoppers never see, so never fill in
+const HONEYPOT_FIELD = "website";
 
-    // ✅ CORRECT auth for App Proxy
-    const { admin } = await authenticate.public.appProxy(request);
+const CHANNELS = ["email", "sms"];
+
+// Email and phone are each optional; the channel decides which is required
+const notifySchema = {
+  email: [optional(), email()],
+  phone: [optional(), phone()],
+  channel: [optional(), oneOf(CHANNELS)],
+  product_id: [required(), shopifyId("Product")],
+  variant_id: [required(), shopifyId("ProductVariant")],
+  // Where the shopper signed up, recorded with the request
+  locale: [optional(), text(35)],
+  market: [optional(), text(255)],
+  currency: [optional(), text(3)],
+  referrer: [optional(), url()],
+  marketing_consent: [optional(), boolean()],
+};
+
+function json(body, init = {}) {
+  return new Response(JSON.stringify(body), {
+    ...init,
+    headers: { "Content-Type": "application/json", ...init.headers },
+  });
+}
+
+function tooManyRequests(retryAfter) {
+  return json(
+    { error: "Too many requests" },
+    { status: 429, headers: { "Retry-After": String(retryAfter) } },
+  );
+}
+
+/**
+ * The shopper's address as Shopify's proxy saw it. Each proxy appends the
+ * address it was called from, so it is PROXY_HOPS from the right; anything
+ * further left came from the shopper and can be made up.
+ */
+function clientIp(request) {
+  const hops = (request.headers.get("x-forwarded-for") ?? "")
+    .split(",")
+    .map((hop) => hop.trim())
+    .filter(Boolean);
 
-    const mutation = `
-      mutation CreateBackInStockRequest($metaobject: MetaobjectCreateInput!) {
-        metaobjectCreate(metaobject: $metaobject) {
-          metaobject { id }
-          userErrors { field message }
+  return hops[Math.max(0, hops.length - PROXY_HOPS)] || "unknown";
+}
+
+/**
+ * GID of the logged-in customer. Shopify adds their id to every proxied
+ * request and signs it, so unlike the body it can be trusted. Null when
+ * logged out.
+ */
+function loggedInCustomerId(request) {
+  const id = new URL(request.url).searchParams.get("logged_in_customer_id");
+  return id ? customerGid(id) : null;
+}
+
+/**
+ * Checks the variant exists, belongs to the product and is actually sold out
+ * at the locations that count as stock. Returns field errors in the same
+ * shape as schema validation, plus the variant itself for building the
+ * confirmation payload.
+ */
+async function checkVariant(admin, shop, productId, variantId) {
+  const res = await admin.graphql(
+    `#graphql
+    query notifyVariant($id: ID!) {
+      productVariant(id: $id) {
+        id
+        inventoryItem {
+          tracked
+          inventoryLevels(first: 250) {
+            nodes {
+              location {
+                id
+                isActive
+                fulfillsOnlineOrders
+              }
+              quantities(names: ["available"]) {
+                name
+                quantity
+              }
+            }
+          }
+        }
+        image {
+          url
+        }
+        product {
+          id
+          title
+          handle
+          featuredImage {
+            url
+          }
         }
       }
-    `;
-
-    const variables = {
-      metaobject: {
-        type: "back_in_stock_request",
-        fields: [
-          { key: "email", value: email },
-          { key: "product_id", value: product_id.toString() },
-          { key: "variant_id", value: variant_id.toString() },
-          { key: "status", value: "pending" },
-          {
-            key: "created_at",
-            value: new Date().toISOString().split("T")[0],
-          },
-        ],
-      },
+    }`,
+    { variables: { id: `gid://shopify/ProductVariant/${variantId}` } },
+  );
+  const variant = (await res.json())?.data?.productVariant;
+
+  if (!variant) {
+    return { errors: [{ field: "variant_id", message: "Variant not found" }] };
+  }
+  if (variant.product.id !== `gid://shopify/Product/${productId}`) {
+    return {
+      errors: [
+        { field: "variant_id", message: "Variant does not belong to product" },
+      ],
     };
+  }
+  const { restockLocationIds } = (await getShopSettings(shop)) ?? {};
+  const available = sellableAvailable(
+    variant.inventoryItem.inventoryLevels,
+    restockLocationIds,
+  );
+  if (!variant.inventoryItem.tracked || available > 0) {
+    return {
+      errors: [{ field: "variant_id", message: "Variant is in stock" }],
+    };
+  }
 
-    const response = await admin.graphql(mutation, { variables });
-    const result = await response.json();
+  return { variant, errors: [] };
+}
+
+/**
+ * GET issues a signed, short-lived form token for the POST below.
+ */
+export async function loader({ request }) {
+  const { session } = await authenticate.public.appProxy(request);
+
+  return json(
+    {
+      token: signToken(
+        { shop: session.shop, purpose: "notify" },
+        TOKEN_TTL_SECONDS,
+      ),
+    },
+    { headers: { "Cache-Control": "no-store" } },
+  );
+}
 
-    const errors = result.data?.metaobjectCreate?.userErrors;
-    if (errors?.length) {
-      return new Response(JSON.stringify({ errors }), {
-        status: 400,
-        headers: { "Content-Type": "application/json" },
+/**
+ * True when the token is ours, for this shop, and neither too fresh nor
+ * expired. A missing token is only let through with
+ * NOTIFY_REQUIRE_TOKEN=false, for forms that predate tokens.
+ */
+function tokenIsValid(token, shop) {
+  if (!token) return !REQUIRE_TOKEN;
+
+  const payload = verifyToken(token);
+  return (
+    payload?.purpose === "notify" &&
+    payload.shop === shop &&
+    Math.floor(Date.now() / 1000) - payload.iat >= TOKEN_MIN_AGE_SECONDS
+  );
+}
+
+export async function action({ request }) {
+  try {
+    // ✅ CORRECT auth for App Proxy
+    const { admin, session } = await authenticate.public.appProxy(request);
+
+    if (isbot(request.headers.get("user-agent") ?? "")) {
+      return json({ error: "Forbidden" }, { status: 403 });
+    }
+
+    const ipLimit = await hitRateLimit(
+      `notify:ip:${session.shop}:${clientIp(request)}`,
+      IP_LIMIT,
+    );
+    if (!ipLimit.allowed) return tooManyRequests(ipLimit.retryAfter);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return json(
+        { errors: [{ field: null, message: "Body must be JSON" }] },
+        { status: 400 },
+      );
+    }
+
+    // Pretend it worked so bots don't learn to skip the field
+    if (body?.[HONEYPOT_FIELD]) {
+      return json({ success: true });
+    }
+
+    if (!tokenIsValid(body?.token, session.shop)) {
+      return json(
+        { errors: [{ field: "token", message: "Form expired, please retry" }] },
+        { status: 400 },
+      );
+    }
+
+    const { data, errors } = validate(notifySchema, body);
+
+    const channel = data.channel ?? "email";
+    const contactField = channel === "sms" ? "phone" : "email";
+    if (!data[contactField] && !errors.some((e) => e.field === contactField)) {
+      errors.push({ field: contactField, message: "is required" });
+    }
+
+    if (errors.length) {
+      return json({ errors }, { status: 400 });
+    }
+
+    const contact = { channel, email: data.email, phone: data.phone };
+
+    const contactLimit = await hitRateLimit(
+      `notify:${contactField}:${session.shop}:${data[contactField]}`,
+      EMAIL_LIMIT,
+    );
+    if (!contactLimit.allowed) return tooManyRequests(contactLimit.retryAfter);
+
+    const { variant, errors: variantErrors } = await checkVariant(
+      admin,
+      session.shop,
+      data.product_id,
+      data.variant_id,
+    );
+    if (variantErrors.length) {
+      return json({ errors: variantErrors }, { status: 422 });
+    }
+
+    // With double opt-in the request only joins the queue once confirmed
+    const doubleOptIn = Boolean(
+      (await getShopSettings(session.shop))?.doubleOptIn,
+    );
+    const status = doubleOptIn ? "unconfirmed" : "pending";
+
+    // Also mirrored into a metaobject, unless the shop turned that off
+    const { request: saved, existing } = await createBackInStockRequest(admin, {
+      shop: session.shop,
+      ...contact,
+      productId: data.product_id,
+      variantId: data.variant_id,
+      status,
+      source: {
+        locale: data.locale,
+        market: data.market,
+        currency: data.currency?.toUpperCase(),
+        referrer: data.referrer,
+        customerId: loggedInCustomerId(request),
+        marketingConsent: data.marketing_consent,
+      },
+    });
+
+    // Same shopper, same variant: hand back the request they already have
+    if (existing) {
+      return json({
+        success: true,
+        existing: true,
+        confirmationRequired: saved.status === "unconfirmed",
+        request: { id: saved.id, status: saved.status },
       });
     }
 
-    return new Response(JSON.stringify({ success: true }), {
-      headers: { "Content-Type": "application/json" },
+    if (doubleOptIn) {
+      await enqueueNotificationJobs(
+        session.shop,
+        [saved.id],
+        buildNotificationPayload(session.shop, variant),
+        EVENT_TYPES.CONFIRMATION,
+      );
+    }
+
+    logger.info("Back in stock request created", {
+      shop: session.shop,
+      requestId: saved.id,
+      channel: saved.channel,
+    });
+
+    return json({
+      success: true,
+      confirmationRequired: doubleOptIn,
+      request: { id: saved.id, status: saved.status },
     });
   } catch (error) {
-    console.error("Notify error:", error);
-    return new Response(
-      JSON.stringify({ error: "Internal server error" }),
-      { status: 500, headers: { "Content-Type": "application/json" } }
-    );
+    if (error instanceof Response) throw error;
+
+    logger.error("Notify request failed", { error });
+    return json({ error: "Internal server error" }, { status: 500 });
   }
 }
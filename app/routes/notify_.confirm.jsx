@@ -0,0 +1,115 @@
+import { authenticate } from "../shopify.server";
+import {
+  WAITLISTED_STATUSES,
+  confirmRequest,
+  findRequestsByIds,
+  mirrorRequestStatus,
+} from "../models/backInStockRequest.server";
+import { verifyConfirmationToken } from "../notifications/confirmation.server";
+import { APP_PROXY_PATH } from "../appProxy.server";
+import { escapeHtml } from "../html.server";
+
+const FORM_ACTION = `${APP_PROXY_PATH}/notify/confirm`;
+
+function page(title, message, extra = "") {
+  return `
+    <div class="page-width" style="padding: 4rem 0; text-align: center;">
+      <h1>${title}</h1>
+      <p>${message}</p>
+      ${extra}
+    </div>
+  `;
+}
+
+function expiredPage(liquid) {
+  return liquid(
+    page(
+      "Link expired",
+      "This confirmation link is invalid or has expired. Please sign up again from the product page.",
+    ),
+    { status: 400 },
+  );
+}
+
+function onTheListPage(liquid) {
+  return liquid(
+    page(
+      "You're on the list",
+      "Thanks for confirming. We'll let you know as soon as it's back in stock.",
+    ),
+  );
+}
+
+/**
+ * What a link for a request that is no longer awaiting confirmation shows:
+ * confirming twice is harmless, anything else has closed in the meantime.
+ */
+function notAwaitingPage(liquid, request) {
+  if (WAITLISTED_STATUSES.includes(request?.status)) {
+    return onTheListPage(liquid);
+  }
+
+  return liquid(
+    page(
+      "Alert no longer active",
+      "This back in stock alert has expired or was cancelled. Please sign up again from the product page.",
+    ),
+    { status: 410 },
+  );
+}
+
+async function findRequest(shop, id) {
+  const [request] = await findRequestsByIds(shop, [id]);
+  return request ?? null;
+}
+
+/**
+ * ✉️ Double opt-in landing page, linked from the confirmation email and
+ * rendered inside the shop's theme through the app proxy. Opening the link
+ * only shows a button: email link scanners follow GETs, so confirming is a
+ * POST the shopper makes.
+ */
+export async function loader({ request }) {
+  const { session, liquid } = await authenticate.public.appProxy(request);
+
+  const token = new URL(request.url).searchParams.get("token");
+  const requestId = session && verifyConfirmationToken(token, session.shop);
+  if (!requestId) return expiredPage(liquid);
+
+  const pending = await findRequest(session.shop, requestId);
+  if (pending?.status !== "unconfirmed") {
+    return notAwaitingPage(liquid, pending);
+  }
+
+  return liquid(
+    page(
+      "Confirm your alert",
+      "Confirm below and we'll let you know as soon as it's back in stock.",
+      `
+        <form method="post" action="${FORM_ACTION}">
+          <input type="hidden" name="token" value="${escapeHtml(token)}">
+          <button type="submit" class="button">Confirm</button>
+        </form>
+      `,
+    ),
+  );
+}
+
+export async function action({ request }) {
+  const { admin, session, liquid } =
+    await authenticate.public.appProxy(request);
+
+  const formData = await request.formData();
+  const token = String(formData.get("token") ?? "");
+  const requestId = session && verifyConfirmationToken(token, session.shop);
+  if (!requestId) return expiredPage(liquid);
+
+  const confirmed = await confirmRequest(session.shop, requestId);
+  if (!confirmed) {
+    return notAwaitingPage(liquid, await findRequest(session.shop, requestId));
+  }
+
+  await mirrorRequestStatus(admin, [confirmed], "pending");
+
+  return onTheListPage(liquid);
+}
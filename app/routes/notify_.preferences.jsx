@@ -0,0 +1,165 @@
+import { authenticate } from "../shopify.server";
+import {
+  listOpenRequestsForContact,
+  mirrorRequestStatus,
+  unsubscribeRequests,
+} from "../models/backInStockRequest.server";
+import { verifyPreferencesToken } from "../notifications/preferences.server";
+import { APP_PROXY_PATH } from "../appProxy.server";
+import { escapeHtml } from "../html.server";
+
+const FORM_ACTION = `${APP_PROXY_PATH}/notify/preferences`;
+
+function page(body) {
+  return `
+    <div class="page-width" style="padding: 4rem 0; max-width: 40rem;">
+      ${body}
+    </div>
+  `;
+}
+
+function expiredPage(liquid) {
+  return liquid(
+    page(`
+      <h1>Link expired</h1>
+      <p>This link is invalid or has expired. Use the link in your most recent back in stock message.</p>
+    `),
+    { status: 400 },
+  );
+}
+
+/**
+ * Variant names by id. Without an offline session there's no Admin API to
+ * ask, and the page falls back to the ids.
+ */
+async function variantNames(admin, requests) {
+  if (!admin || requests.length === 0) return {};
+
+  const res = await admin.graphql(
+    `#graphql
+    query preferenceVariants($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          displayName
+        }
+      }
+    }`,
+    {
+      variables: {
+        ids: [...new Set(requests.map((r) => r.variantId))].map(
+          (id) => `gid://shopify/ProductVariant/${id}`,
+        ),
+      },
+    },
+  );
+  const json = await res.json();
+
+  return Object.fromEntries(
+    (json?.data?.nodes ?? [])
+      .filter(Boolean)
+      .map((node) => [node.id.split("/").pop(), node.displayName]),
+  );
+}
+
+function unsubscribeForm(token, fields, label) {
+  return `
+    <form method="post" action="${FORM_ACTION}" style="display: inline;">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      ${Object.entries(fields)
+        .map(
+          ([name, value]) =>
+            `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`,
+        )
+        .join("")}
+      <button type="submit" class="button button--secondary">${label}</button>
+    </form>
+  `;
+}
+
+/**
+ * 🔕 The subscriber's open requests, each with an unsubscribe button.
+ */
+async function preferencesPage(
+  { admin, liquid },
+  shop,
+  contact,
+  token,
+  notice,
+) {
+  const requests = await listOpenRequestsForContact(shop, contact);
+  const names = await variantNames(admin, requests);
+  const who = contact.channel === "sms" ? contact.phone : contact.email;
+
+  const items = requests
+    .map(
+      (request) => `
+        <li style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid rgba(0,0,0,0.1);">
+          <span>${escapeHtml(names[request.variantId] ?? `Item ${request.variantId}`)}</span>
+          ${unsubscribeForm(token, { intent: "unsubscribe", requestId: request.id }, "Unsubscribe")}
+        </li>
+      `,
+    )
+    .join("");
+
+  return liquid(
+    page(`
+      <h1>Your back in stock alerts</h1>
+      ${notice ? `<p role="status"><strong>${notice}</strong></p>` : ""}
+      <p>Alerts for ${escapeHtml(who)}.</p>
+      ${
+        requests.length
+          ? `
+            <ul style="list-style: none; padding: 0;">${items}</ul>
+            <p>${unsubscribeForm(token, { intent: "unsubscribeAll" }, "Unsubscribe from all")}</p>
+          `
+          : "<p>You don't have any alerts waiting.</p>"
+      }
+    `),
+  );
+}
+
+export async function loader({ request }) {
+  const context = await authenticate.public.appProxy(request);
+  const { session, liquid } = context;
+
+  const token = new URL(request.url).searchParams.get("token");
+  const contact =
+    session && (await verifyPreferencesToken(token, session.shop));
+  if (!contact) return expiredPage(liquid);
+
+  return preferencesPage(context, session.shop, contact, token);
+}
+
+export async function action({ request }) {
+  const context = await authenticate.public.appProxy(request);
+  const { admin, session, liquid } = context;
+
+  const formData = await request.formData();
+  const token = String(formData.get("token") ?? "");
+  const contact =
+    session && (await verifyPreferencesToken(token, session.shop));
+  if (!contact) return expiredPage(liquid);
+
+  const requestIds =
+    formData.get("intent") === "unsubscribe"
+      ? [String(formData.get("requestId"))]
+      : undefined;
+  const unsubscribed = await unsubscribeRequests(
+    session.shop,
+    contact,
+    requestIds,
+  );
+
+  await mirrorRequestStatus(admin, unsubscribed, "unsubscribed");
+
+  return preferencesPage(
+    context,
+    session.shop,
+    contact,
+    token,
+    unsubscribed.length
+      ? "You've been unsubscribed."
+      : "That alert was already closed.",
+  );
+}
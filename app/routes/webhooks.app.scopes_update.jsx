@@ -1,10 +1,13 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { webhookLogger } from "../logger.server";
 
 export const action = async ({ request }) => {
-  const { payload, session, topic, shop } = await authenticate.webhook(request);
+  const { payload, session, topic, shop, webhookId } =
+    await authenticate.webhook(request);
+
+  webhookLogger({ shop, topic, webhookId });
 
-  console.log(`Received ${topic} webhook for ${shop}`);
   const current = payload.current;
 
   if (session) {
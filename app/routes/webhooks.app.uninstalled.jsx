@@ -1,10 +1,14 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { markShopUninstalled } from "../models/shopSettings.server";
+import { haltShopJobs } from "../models/notificationJob.server";
+import { webhookLogger } from "../logger.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, session, topic, webhookId } =
+    await authenticate.webhook(request);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
+  const log = webhookLogger({ shop, topic, webhookId });
 
   // Webhook requests can trigger multiple times and after an app has already been uninstalled.
   // If this webhook already ran, the session may have been deleted previously.
@@ -12,5 +16,12 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Everything else is kept until the grace period runs out, see
+  // runMaintenance
+  await markShopUninstalled(shop);
+  const halted = await haltShopJobs(shop);
+
+  log.info("Shop marked inactive", { halted });
+
   return new Response();
 };
@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { exportCustomerData } from "../privacy.server";
+import { webhookLogger } from "../logger.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic, webhookId } =
+    await authenticate.webhook(request);
+
+  const log = webhookLogger({ shop, topic, webhookId });
+
+  const { requests } = await exportCustomerData(shop, payload);
+
+  log.info("Customer data request recorded", {
+    customerId: payload.customer?.id,
+    requests,
+  });
+
+  return new Response();
+};
@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { redactCustomer } from "../privacy.server";
+import { webhookLogger } from "../logger.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, admin, topic, webhookId } =
+    await authenticate.webhook(request);
+
+  const log = webhookLogger({ shop, topic, webhookId });
+
+  const { requests } = await redactCustomer(shop, payload, admin);
+
+  log.info("Customer redacted", {
+    customerId: payload.customer?.id,
+    requests,
+  });
+
+  return new Response();
+};
@@ -1,118 +1,78 @@
 import { authenticate } from "../shopify.server";
-
-/**
- * 🔐 Fetch CleverTap credentials for THIS store
- */
-async function getCleverTapConfig(admin) {
-  const res = await admin.graphql(`
-    query {
-      shop {
-        accountId: metafield(namespace: "clevertap", key: "account_id") {
-          value
-        }
-        passcode: metafield(namespace: "clevertap", key: "passcode") {
-          value
-        }
-        region: metafield(namespace: "clevertap", key: "region") {
-          value
-        }
-      }
-    }
-  `);
-
-  const json = await res.json();
-
-  return {
-    accountId: json?.data?.shop?.accountId?.value,
-    passcode: json?.data?.shop?.passcode?.value,
-    region: json?.data?.shop?.region?.value,
-  };
-}
-
-/**
- * 📤 Send Back In Stock event to CleverTap
- */
-async function sendCleverTapBackInStockEvent({
-  region,
-  accountId,
-  passcode,
-  email,
-  productId,
-  variantId,
-  productTitle,
-  productUrl,
-  imageUrl,
-}) {
-  const payload = {
-    d: [
-      {
-        identity: email,
-        type: "event",
-        evtName: "Back In Stock",
-        evtData: {
-          product_id: productId,
-          variant_id: variantId,
-          product_title: productTitle,
-          product_url: productUrl,
-          product_image: imageUrl,
-        },
-        profileData: {
-          Email: email,
-        },
-      },
-    ],
-  };
-
-  const endpoint = `https://${region}.api.clevertap.com/1/upload`;
-
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "X-CleverTap-Account-Id": accountId,
-      "X-CleverTap-Passcode": passcode,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`CleverTap API error: ${err}`);
-  }
-
-  console.log("✅ CleverTap event sent →", email);
-}
+import { buildNotificationPayload } from "../notifications/payload.server";
+import { getShopSettings } from "../models/shopSettings.server";
+import { getStockLevel, recordStockLevel } from "../models/stockLevel.server";
+import { countsTowardStock, sellableAvailable } from "../inventory.server";
+import { queueRestockNotifications } from "../restock.server";
+import {
+  claimWebhook,
+  releaseWebhook,
+} from "../models/processedWebhook.server";
+import { logger } from "../logger.server";
 
 /**
  * 🚀 Inventory Webhook Handler
  */
 export const action = async ({ request }) => {
+  let delivery;
+  let log = logger;
+
   try {
-    const { payload, session, admin } =
+    const { payload, session, admin, topic, webhookId } =
       await authenticate.webhook(request);
 
-    console.log("📦 INVENTORY WEBHOOK HIT", {
-      shop: session.shop,
-      inventory_item_id: payload.inventory_item_id,
-      available: payload.available,
+    log = logger.child({ shop: session.shop, topic, webhookId });
+    log.info("Webhook received", {
+      inventoryItemId: payload.inventory_item_id,
+      available: payload.available
     });
 
-    if (!payload.available || payload.available <= 0) {
-      console.log("⏭️ Inventory still out of stock");
+    /**
+     * 0️⃣ Skip deliveries we've already handled (Shopify retries on failure)
+     */
+    delivery = { shop: session.shop, webhookId, topic };
+    if (!(await claimWebhook(delivery))) {
+      log.info("Duplicate webhook delivery skipped");
       return new Response("OK", { status: 200 });
     }
 
-    console.log("✅ Stock is now available");
+    const inventoryItemId = String(payload.inventory_item_id);
+    const previous = await getStockLevel(session.shop, inventoryItemId);
+
+    // A level at zero never restocks anything. It's only worth reading the
+    // item's stock if it was in stock last time, so that coming back is seen
+    // as a new restock
+    if (
+      (!payload.available || payload.available <= 0) &&
+      !(previous?.available > 0)
+    ) {
+      log.debug("Inventory still out of stock");
+      return new Response("OK", { status: 200 });
+    }
 
     /**
-     * 1️⃣ Resolve Variant from Inventory Item
+     * 1️⃣ Resolve Variant and its stock at every location from the
+     * Inventory Item
      */
-    const inventoryItemGid = `gid://shopify/InventoryItem/${payload.inventory_item_id}`;
+    const inventoryItemGid = `gid://shopify/InventoryItem/${inventoryItemId}`;
 
     const variantRes = await admin.graphql(
       `
       query getInventoryItem($id: ID!) {
         inventoryItem(id: $id) {
+          inventoryLevels(first: 250) {
+            nodes {
+              location {
+                id
+                isActive
+                fulfillsOnlineOrders
+              }
+              quantities(names: ["available"]) {
+                name
+                quantity
+              }
+            }
+          }
           variant {
             id
             image {
@@ -120,6 +80,7 @@ export const action = async ({ request }) => {
             }
             product {
               id
+              status
               title
               handle
               featuredImage {
@@ -134,121 +95,86 @@ export const action = async ({ request }) => {
     );
 
     const variantJson = await variantRes.json();
-    const variant = variantJson?.data?.inventoryItem?.variant;
+    const inventoryItem = variantJson?.data?.inventoryItem;
+    const variant = inventoryItem?.variant;
 
     if (!variant) {
-      console.log("❌ Variant not found");
+      log.warn("Variant not found", {
+        inventoryItemId: payload.inventory_item_id
+      });
       return new Response("OK", { status: 200 });
     }
 
-    const variantId = variant.id.split("/").pop();
-    const productId = variant.product.id.split("/").pop();
-
-    // 🔥 Safe image fallback
-    const imageUrl =
-      variant.image?.url ||
-      variant.product.featuredImage?.url ||
-      null;
+    const jobPayload = buildNotificationPayload(session.shop, variant);
+    const { variantId } = jobPayload;
 
-    console.log("🎯 VARIANT RESOLVED", {
-      variantId,
-      productTitle: variant.product.title,
-      imageUrl,
-    });
+    log.debug("Variant resolved", { variantId });
 
     /**
-     * 2️⃣ Fetch CleverTap credentials
+     * Only stock the shopper can actually buy counts: the location that
+     * changed must be one the merchant counts, and the total across counted
+     * locations is what the restock rule sees
      */
-    const { accountId, passcode, region } =
-      await getCleverTapConfig(admin);
+    const locationIds = (await getShopSettings(session.shop))
+      ?.restockLocationIds;
+    const levels = inventoryItem.inventoryLevels?.nodes ?? [];
+    const changedLevel = levels.find(
+      (level) =>
+        level.location.id === `gid://shopify/Location/${payload.location_id}`
+    );
 
-    if (!accountId || !passcode || !region) {
-      console.log("⚠️ CleverTap not configured");
+    if (!countsTowardStock(changedLevel?.location, locationIds)) {
+      log.debug("Location not counted as stock", {
+        locationId: payload.location_id
+      });
       return new Response("OK", { status: 200 });
     }
 
-    /**
-     * 3️⃣ Fetch pending back_in_stock_request metaobjects
-     */
-    const notifyRes = await admin.graphql(`
-      query {
-        metaobjects(type: "back_in_stock_request", first: 100) {
-          nodes {
-            id
-            fields {
-              key
-              value
-            }
-          }
-        }
-      }
-    `);
-
-    const notifyJson = await notifyRes.json();
-    const allRequests =
-      notifyJson?.data?.metaobjects?.nodes || [];
-
-    const matchingRequests = allRequests.filter((req) => {
-      const fields = Object.fromEntries(
-        req.fields.map((f) => [f.key, f.value])
-      );
+    const available = sellableAvailable(
+      inventoryItem.inventoryLevels,
+      locationIds
+    );
 
-      return (
-        String(fields.variant_id) === String(variantId) &&
-        fields.status === "pending"
-      );
-    });
+    log.info("Sellable stock available", { variantId, available });
 
-    console.log(
-      `🔔 MATCHING NOTIFY REQUESTS FOUND: ${matchingRequests.length}`
+    const level = await recordStockLevel(
+      session.shop,
+      inventoryItemId,
+      available,
+      previous
     );
 
-    if (matchingRequests.length === 0) {
+    if (available <= 0) {
+      log.debug("Inventory out of stock", { variantId });
       return new Response("OK", { status: 200 });
     }
 
-    /**
-     * 4️⃣ Send CleverTap events & mark notified
-     */
-    for (const req of matchingRequests) {
-      const fields = Object.fromEntries(
-        req.fields.map((f) => [f.key, f.value])
-      );
-
-      await sendCleverTapBackInStockEvent({
-        region,
-        accountId,
-        passcode,
-        email: fields.email,
-        productId,
+    // Draft products can't be bought. Their stock level is still recorded
+    // above, so the requests are queued when the product becomes active
+    if (variant.product.status !== "ACTIVE") {
+      log.info("Product not active", {
         variantId,
-        productTitle: variant.product.title,
-        productUrl: `https://${session.shop}/products/${variant.product.handle}`,
-        imageUrl,
+        status: variant.product.status
       });
-
-      await admin.graphql(
-        `
-        mutation markNotified($id: ID!) {
-          metaobjectUpdate(
-            id: $id,
-            metaobject: {
-              fields: [{ key: "status", value: "notified" }]
-            }
-          ) {
-            metaobject { id }
-          }
-        }
-        `,
-        { variables: { id: req.id } }
-      );
+      return new Response("OK", { status: 200 });
     }
 
-    console.log("✅ All notifications processed");
+    /**
+     * 2️⃣ Queue the waiting requests the restock rule allows
+     */
+    await queueRestockNotifications(session.shop, admin, {
+      payload: jobPayload,
+      level,
+      log
+    });
 
     return new Response("OK", { status: 200 });
   } catch (err) {
-    console.error("❌ Inventory webhook error", err);
+    log.error("Inventory webhook failed", { error: err });
+
+    // Let Shopify's retry run; queued jobs are de-duplicated per request
+    if (delivery) await releaseWebhook(delivery);
+
     return new Response("Webhook error", { status: 500 });
   }
 };
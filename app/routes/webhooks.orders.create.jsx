@@ -0,0 +1,24 @@
+import { authenticate } from "../shopify.server";
+import { attributeOrder } from "../models/conversion.server";
+import { getShopSettings } from "../models/shopSettings.server";
+import { webhookLogger } from "../logger.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic, webhookId } =
+    await authenticate.webhook(request);
+
+  const log = webhookLogger({ shop, topic, webhookId });
+
+  const settings = await getShopSettings(shop);
+  const conversions = await attributeOrder(
+    shop,
+    payload,
+    settings?.attributionWindowDays ?? 7,
+  );
+
+  if (conversions > 0) {
+    log.info("Order attributed", { orderId: payload.id, conversions });
+  }
+
+  return new Response();
+};
@@ -0,0 +1,29 @@
+import { authenticate } from "../shopify.server";
+import { deleteProductRestockRule } from "../models/restockRule.server";
+import { retireRequests, unavailablePayload } from "../productLifecycle.server";
+import { webhookLogger } from "../logger.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, admin, topic, webhookId } =
+    await authenticate.webhook(request);
+
+  webhookLogger({ shop, topic, webhookId });
+
+  const productId = String(payload.id);
+
+  await retireRequests(
+    shop,
+    admin,
+    { productId },
+    {
+      status: "cancelled",
+      reason: "product_deleted",
+      payload: unavailablePayload(shop, payload),
+    },
+  );
+
+  // Its restock rule can never apply again
+  await deleteProductRestockRule(shop, productId);
+
+  return new Response();
+};
@@ -0,0 +1,77 @@
+import { authenticate } from "../shopify.server";
+import {
+  deletedVariantIds,
+  retireRequests,
+  unavailablePayload,
+} from "../productLifecycle.server";
+import { queueActiveProduct } from "../restock.server";
+import { webhookLogger } from "../logger.server";
+
+/**
+ * Closes requests that can never be fulfilled: variants that were deleted,
+ * and products that were archived or taken off the online store. Drafts are
+ * usually temporary, so their requests are left waiting, and queued once the
+ * product is active again if stock came in meanwhile.
+ */
+export const action = async ({ request }) => {
+  const { payload, shop, admin, topic, webhookId } =
+    await authenticate.webhook(request);
+
+  const log = webhookLogger({ shop, topic, webhookId });
+
+  const productId = String(payload.id);
+  const unavailable = unavailablePayload(shop, payload);
+
+  if (payload.status === "draft") return new Response();
+
+  if (payload.status === "archived") {
+    await retireRequests(
+      shop,
+      admin,
+      { productId },
+      {
+        status: "expired",
+        reason: "product_archived",
+        payload: unavailable,
+      },
+    );
+    return new Response();
+  }
+
+  if (!payload.published_at) {
+    await retireRequests(
+      shop,
+      admin,
+      { productId },
+      {
+        status: "expired",
+        reason: "product_unpublished",
+        payload: unavailable,
+      },
+    );
+    return new Response();
+  }
+
+  // The payload's variant list can be truncated, so ask Shopify directly
+  if (admin) {
+    const variantIds = await deletedVariantIds(admin, shop, productId);
+    if (variantIds.length) {
+      await retireRequests(
+        shop,
+        admin,
+        { productId, variantIds },
+        {
+          status: "cancelled",
+          reason: "variant_deleted",
+          payload: unavailable,
+        },
+      );
+    }
+
+    if (payload.status === "active") {
+      await queueActiveProduct(shop, admin, productId, log);
+    }
+  }
+
+  return new Response();
+};
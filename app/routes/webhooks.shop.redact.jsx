@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { purgeShopData } from "../privacy.server";
+import { webhookLogger } from "../logger.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic, webhookId } = await authenticate.webhook(request);
+
+  const log = webhookLogger({ shop, topic, webhookId });
+
+  const deleted = await purgeShopData(shop);
+
+  log.info("Shop data purged", deleted);
+
+  return new Response();
+};
@@ -6,6 +6,10 @@ import {
 } from "@shopify/shopify-app-react-router/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { importRequestsFromMetaobjects } from "./models/backInStockRequest.server";
+import { ensureRequestMetaobjectDefinition } from "./metaobjectDefinition.server";
+import { markShopReinstalled } from "./models/shopSettings.server";
+import { logger } from "./logger.server";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -16,6 +20,55 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  hooks: {
+    afterAuth: async ({ session, admin }) => {
+      // A reinstall within the grace period gets its old settings back
+      if (await markShopReinstalled(session.shop)) {
+        logger.info("Shop reinstalled, settings restored", {
+          shop: session.shop,
+        });
+      }
+
+      // Without the definition every metaobjectCreate fails. A failure here
+      // shouldn't block install; it's retried on the next auth
+      try {
+        const version = await ensureRequestMetaobjectDefinition(
+          admin,
+          session.shop,
+        );
+        if (version !== null) {
+          logger.info("Metaobject definition up to date", {
+            shop: session.shop,
+            version,
+          });
+        }
+      } catch (error) {
+        logger.warn("Metaobject definition setup failed", {
+          shop: session.shop,
+          error,
+        });
+      }
+
+      // Requests from before Prisma was the primary store, imported once.
+      // Runs in the background so a shop with thousands doesn't hold up
+      // auth; maintenance retries it if this fails
+      importRequestsFromMetaobjects(admin, session.shop)
+        .then((imported) => {
+          if (imported !== null) {
+            logger.info("Imported requests from metaobjects", {
+              shop: session.shop,
+              imported,
+            });
+          }
+        })
+        .catch((error) => {
+          logger.warn("Metaobject request import failed", {
+            shop: session.shop,
+            error,
+          });
+        });
+    },
+  },
   future: {
     expiringOfflineAccessTokens: true,
   },
@@ -0,0 +1,52 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+function secret() {
+  const key = process.env.SHOPIFY_API_SECRET;
+  if (!key) throw new Error("SHOPIFY_API_SECRET is not set");
+  return key;
+}
+
+function signature(body) {
+  return createHmac("sha256", secret()).update(body).digest("base64url");
+}
+
+/**
+ * Creates a tamper-proof token carrying `payload` plus issue and expiry
+ * times. Tokens are signed with the app secret, so only this app can mint
+ * them and they stay valid across instances.
+ */
+export function signToken(payload, ttlSeconds) {
+  const iat = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(
+    JSON.stringify({ ...payload, iat, exp: iat + ttlSeconds }),
+  ).toString("base64url");
+
+  return `${body}.${signature(body)}`;
+}
+
+/**
+ * Returns the token's payload, or null if it is malformed, forged or expired.
+ */
+export function verifyToken(token) {
+  if (typeof token !== "string") return null;
+
+  const [body, sig] = token.split(".");
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(signature(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+
+  return payload;
+}
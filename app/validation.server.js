@@ -0,0 +1,148 @@
+/**
+ * Minimal schema validation for public endpoints.
+ *
+ * A schema maps field names to a list of rules. Each rule receives the
+ * current value and returns `{ value }` (possibly normalized) or
+ * `{ error }`. Rules run in order and stop at the first error, or at a
+ * `{ done: true }` result (see `optional`), so errors come back as one
+ * `{ field, message }` per field, the same shape as Shopify's `userErrors`.
+ */
+export function validate(schema, input) {
+  const data = {};
+  const errors = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    let value = input?.[field];
+
+    for (const rule of rules) {
+      const result = rule(value);
+      if (result.error) {
+        errors.push({ field, message: result.error });
+        break;
+      }
+      value = result.value;
+      if (result.done) break;
+    }
+
+    if (value !== undefined) data[field] = value;
+  }
+
+  return { data, errors };
+}
+
+export const required =
+  (message = "is required") =>
+  (value) =>
+    value === undefined || value === null || value === ""
+      ? { error: message }
+      : { value };
+
+/**
+ * Lets an empty field through as `undefined`, skipping the rules after it.
+ */
+export const optional = () => (value) =>
+  value === undefined || value === null || value === ""
+    ? { value: undefined, done: true }
+    : { value };
+
+export const oneOf = (values) => (value) =>
+  values.includes(value)
+    ? { value }
+    : { error: `must be one of ${values.join(", ")}` };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Trims and lower-cases, so the same address always matches itself.
+ */
+export const email = () => (value) => {
+  if (typeof value !== "string") return { error: "must be a string" };
+
+  const normalized = value.trim().toLowerCase();
+  if (normalized.length > 254 || !EMAIL_PATTERN.test(normalized)) {
+    return { error: "must be a valid email address" };
+  }
+
+  return { value: normalized };
+};
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * E.164 phone number. Spaces, dots, dashes and brackets are stripped, but
+ * the country code is required: we can't guess it.
+ */
+export const phone = () => (value) => {
+  if (typeof value !== "string") return { error: "must be a string" };
+
+  const normalized = value.replace(/[\s.()-]/g, "");
+  if (!E164_PATTERN.test(normalized)) {
+    return {
+      error: "must be an international number starting with + and country code",
+    };
+  }
+
+  return { value: normalized };
+};
+
+/**
+ * Accepts a numeric id or a `gid://shopify/<resource>/<id>` and returns the
+ * numeric id as a string.
+ */
+export const shopifyId = (resource) => (value) => {
+  const raw = String(value).trim();
+  const match =
+    raw.match(/^\d+$/) ??
+    raw.match(new RegExp(`^gid://shopify/${resource}/(\\d+)$`));
+
+  if (!match) return { error: `must be a ${resource} id` };
+
+  return { value: match[1] ?? match[0] };
+};
+
+/**
+ * A trimmed string of at most `max` characters.
+ */
+export const text = (max) => (value) => {
+  if (typeof value !== "string") return { error: "must be a string" };
+
+  const trimmed = value.trim();
+  if (trimmed.length > max) {
+    return { error: `must be at most ${max} characters` };
+  }
+
+  return { value: trimmed };
+};
+
+/**
+ * An absolute http(s) URL of at most 2048 characters.
+ */
+export const url = () => (value) => {
+  if (typeof value !== "string" || value.length > 2048) {
+    return { error: "must be a URL" };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    return { error: "must be a URL" };
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return { error: "must be a URL" };
+  }
+
+  return { value: parsed.toString() };
+};
+
+/**
+ * JSON booleans, or "true"/"false"/"on" from form posts.
+ */
+export const boolean = () => (value) => {
+  if (value === true || value === "true" || value === "on") {
+    return { value: true };
+  }
+  if (value === false || value === "false") return { value: false };
+
+  return { error: "must be true or false" };
+};
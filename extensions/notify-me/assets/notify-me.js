@@ -0,0 +1,223 @@
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * <notify-me-form> shows a back in stock sign-up for sold out variants and
+ * posts it to the app proxy's /notify route.
+ */
+class NotifyMeForm extends HTMLElement {
+  connectedCallback() {
+    this.variants = JSON.parse(
+      this.querySelector("[data-notify-me-variants]")?.textContent || "[]",
+    );
+    this.variantId = this.dataset.variantId;
+
+    this.toggle = this.querySelector(".notify-me__toggle");
+    this.form = this.querySelector(".notify-me__form");
+    this.inputs = {
+      email: this.form.querySelector('[name="email"]'),
+      sms: this.form.querySelector('[name="phone"]'),
+    };
+    this.channel = "email";
+    this.submitButton = this.form.querySelector('[type="submit"]');
+    this.status = this.form.querySelector(".notify-me__status");
+
+    this.toggle.addEventListener("click", () => this.setOpen(this.form.hidden));
+    this.form.addEventListener("submit", (event) => this.onSubmit(event));
+    this.form.querySelectorAll('[name="channel"]').forEach((radio) => {
+      radio.addEventListener("change", () => this.setChannel(radio.value));
+    });
+
+    // Themes swap the selected variant in different ways, but nearly all of
+    // them update the product form's `id` input and fire a change event, or
+    // rewrite ?variant= in the URL
+    this.onVariantChange = () => setTimeout(() => this.syncVariant());
+    document.addEventListener("change", this.onVariantChange);
+    document.addEventListener("variant:change", this.onVariantChange);
+    window.addEventListener("popstate", this.onVariantChange);
+
+    this.syncVariant();
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener("change", this.onVariantChange);
+    document.removeEventListener("variant:change", this.onVariantChange);
+    window.removeEventListener("popstate", this.onVariantChange);
+  }
+
+  /**
+   * The product form in the same section wins over any other on the page
+   * (quick add, recommendations).
+   */
+  currentVariantId() {
+    const scope = this.closest(".shopify-section") ?? document;
+    const input =
+      scope.querySelector('form[action*="/cart/add"] [name="id"]') ??
+      document.querySelector('form[action*="/cart/add"] [name="id"]');
+
+    return (
+      input?.value ||
+      new URL(window.location.href).searchParams.get("variant") ||
+      this.variantId
+    );
+  }
+
+  syncVariant() {
+    const id = this.currentVariantId();
+    const variant = this.variants.find((v) => String(v.id) === String(id));
+    if (!variant) return;
+
+    if (String(variant.id) !== String(this.variantId)) {
+      this.variantId = String(variant.id);
+      this.setStatus("");
+    }
+
+    this.hidden = variant.available;
+    if (variant.available) {
+      this.setOpen(false);
+    } else {
+      this.fetchToken();
+    }
+  }
+
+  get input() {
+    return this.inputs[this.channel];
+  }
+
+  setOpen(open) {
+    this.form.hidden = !open;
+    this.toggle.setAttribute("aria-expanded", String(open));
+    if (open) this.input.focus();
+  }
+
+  /**
+   * Only the active channel's field is shown, required and submitted.
+   */
+  setChannel(channel) {
+    this.channel = channel;
+
+    this.form.querySelectorAll("[data-channel]").forEach((field) => {
+      const active = field.dataset.channel === channel;
+      const input = field.querySelector("input");
+
+      field.hidden = !active;
+      input.disabled = !active;
+      input.required = active;
+      input.removeAttribute("aria-invalid");
+    });
+    this.setStatus("");
+  }
+
+  /**
+   * Mirrors the server's checks so most mistakes are caught before a
+   * round trip.
+   */
+  inputIsValid() {
+    if (this.channel === "sms") {
+      return E164_PATTERN.test(this.input.value.replace(/[\s.()-]/g, ""));
+    }
+    return this.input.checkValidity();
+  }
+
+  showFieldError() {
+    this.input.setAttribute("aria-invalid", "true");
+    this.setStatus(
+      this.channel === "sms"
+        ? this.dataset.errorPhone
+        : this.dataset.errorEmail,
+      true,
+    );
+    this.input.focus();
+  }
+
+  setStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle("notify-me__status--error", isError);
+    this.status.setAttribute("role", isError ? "alert" : "status");
+  }
+
+  /**
+   * Form tokens are only accepted a couple of seconds after they're issued,
+   * so fetch one as soon as the form could be used.
+   */
+  async fetchToken(force = false) {
+    if (this.token && !force) return;
+
+    try {
+      const res = await fetch(this.dataset.endpoint, {
+        headers: { Accept: "application/json" },
+      });
+      this.token = (await res.json()).token;
+    } catch {
+      this.token = null;
+    }
+  }
+
+  async onSubmit(event) {
+    event.preventDefault();
+
+    if (!this.inputIsValid()) {
+      this.showFieldError();
+      return;
+    }
+    this.input.removeAttribute("aria-invalid");
+
+    this.submitButton.disabled = true;
+    this.setStatus("");
+
+    try {
+      const res = await fetch(this.dataset.endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({
+          channel: this.channel,
+          [this.channel === "sms" ? "phone" : "email"]: this.input.value,
+          product_id: this.dataset.productId,
+          variant_id: this.variantId,
+          locale: this.dataset.locale,
+          market: this.dataset.market,
+          currency: this.dataset.currency,
+          referrer: window.location.href,
+          marketing_consent: Boolean(
+            this.form.querySelector('[name="marketing_consent"]')?.checked,
+          ),
+          token: this.token,
+          website: this.form.querySelector('[name="website"]').value,
+        }),
+      });
+      const body = await res.json().catch(() => ({}));
+
+      if (res.ok && body.success) {
+        this.form.reset();
+        this.setChannel("email");
+        this.setStatus(
+          body.confirmationRequired
+            ? this.dataset.successConfirm
+            : this.dataset.success,
+        );
+        return;
+      }
+
+      const fields = (body.errors ?? []).map((error) => error.field);
+      if (fields.includes("token")) this.fetchToken(true);
+
+      if (res.status === 429) {
+        this.setStatus(this.dataset.errorRateLimited, true);
+      } else if (fields.includes("email") || fields.includes("phone")) {
+        this.showFieldError();
+      } else {
+        this.setStatus(this.dataset.errorGeneric, true);
+      }
+    } catch {
+      this.setStatus(this.dataset.errorGeneric, true);
+    } finally {
+      this.submitButton.disabled = false;
+    }
+  }
+}
+
+if (!customElements.get("notify-me-form")) {
+  customElements.define("notify-me-form", NotifyMeForm);
+}
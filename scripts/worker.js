@@ -0,0 +1,18 @@
+/**
+ * Runs the notification worker on its own, for deployments that set
+ * NOTIFICATION_WORKER=off on the web processes. Needs `npm run build` first
+ * and the same environment as the app.
+ */
+import { entry } from "../build/server/index.js";
+
+entry.module.startNotificationWorker();
+
+// The worker's timers don't hold the process open, so it would exit here
+const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    clearInterval(keepAlive);
+    process.exit(0);
+  });
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { getDemandAnalytics } from "../app/models/analytics.server";
+import { SHOP, createRequest } from "./support/shop";
+
+const SINCE = new Date("2026-03-01T00:00:00Z");
+
+function requestOn(variantId, createdAt) {
+  return createRequest({
+    email: `${variantId}-${createdAt}@example.com`,
+    productId: "1001",
+    variantId,
+    createdAt: new Date(createdAt),
+  });
+}
+
+describe("getDemandAnalytics", () => {
+  it("counts new requests per variant and day", async () => {
+    await requestOn("2001", "2026-03-02T09:00:00Z");
+    await requestOn("2001", "2026-03-02T17:00:00Z");
+    await requestOn("2002", "2026-03-02T12:00:00Z");
+    await requestOn("2002", "2026-03-03T12:00:00Z");
+    await requestOn("2002", "2026-02-20T12:00:00Z");
+
+    const { dailyRequests } = await getDemandAnalytics(SHOP, SINCE);
+
+    expect(dailyRequests).toEqual([
+      { day: "2026-03-02", productId: "1001", variantId: "2001", count: 2 },
+      { day: "2026-03-02", productId: "1001", variantId: "2002", count: 1 },
+      { day: "2026-03-03", productId: "1001", variantId: "2002", count: 1 },
+    ]);
+  });
+
+  it("only counts back in stock alerts as send outcomes", async () => {
+    const request = await requestOn("2001", "2026-03-02T09:00:00Z");
+    const job = (type, status) =>
+      db.notificationJob.create({
+        data: { shop: SHOP, requestId: request.id, type, status, payload: {} },
+      });
+    await job("back_in_stock", "completed");
+    await job("back_in_stock", "dead");
+    await job("confirmation", "completed");
+    await job("unavailable", "completed");
+
+    const { sendOutcomes } = await getDemandAnalytics(SHOP, SINCE);
+
+    expect(sendOutcomes).toEqual({ completed: 1, dead: 1 });
+  });
+});
@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { action, loader } from "../app/routes/notify_.confirm";
+import { confirmationUrl } from "../app/notifications/confirmation.server";
+import { createFakeAdmin } from "./support/fakeAdmin";
+import { appProxyRequest } from "./support/requests";
+import { SHOP, createRequest, installShop } from "./support/shop";
+
+let request;
+let token;
+
+function confirmPage() {
+  return loader({
+    request: appProxyRequest(SHOP, "/notify/confirm", { query: { token } }),
+  });
+}
+
+function confirm() {
+  return action({
+    request: appProxyRequest(SHOP, "/notify/confirm", {
+      method: "POST",
+      body: new URLSearchParams({ token }),
+    }),
+  });
+}
+
+async function status() {
+  return (await db.backInStockRequest.findUnique({ where: { id: request.id } }))
+    .status;
+}
+
+beforeEach(async () => {
+  createFakeAdmin(SHOP);
+  await installShop(SHOP, { settings: { doubleOptIn: true } });
+  request = await createRequest({
+    email: "shopper@example.com",
+    productId: "1001",
+    variantId: "2001",
+    status: "unconfirmed",
+  });
+  token = new URL(confirmationUrl(SHOP, request)).searchParams.get("token");
+});
+
+describe("/notify/confirm", () => {
+  it("only confirms when the shopper presses the button", async () => {
+    const page = await confirmPage();
+
+    expect(await page.text()).toContain('name="token"');
+    expect(await status()).toBe("unconfirmed");
+
+    const response = await confirm();
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain("You're on the list");
+    expect(await status()).toBe("pending");
+  });
+
+  it("says so when the request has closed in the meantime", async () => {
+    await db.backInStockRequest.update({
+      where: { id: request.id },
+      data: { status: "expired" },
+    });
+
+    const response = await confirm();
+
+    expect(response.status).toBe(410);
+    expect(await response.text()).toContain("no longer active");
+    expect(await status()).toBe("expired");
+  });
+
+  it("rejects links that outlived the request", async () => {
+    request = await createRequest({
+      email: "late@example.com",
+      productId: "1001",
+      variantId: "2001",
+      status: "unconfirmed",
+      createdAt: new Date(Date.now() - 49 * 60 * 60 * 1000),
+    });
+    token = new URL(confirmationUrl(SHOP, request)).searchParams.get("token");
+
+    expect((await confirm()).status).toBe(400);
+    expect(await status()).toBe("unconfirmed");
+  });
+});
@@ -0,0 +1,41 @@
+import { execSync } from "child_process";
+import { PGlite } from "@electric-sql/pglite";
+import { PGLiteSocketServer } from "@electric-sql/pglite-socket";
+import { EMBEDDED_PORT, TEST_DATABASE_URL } from "./support/database";
+
+/**
+ * Starts a throwaway in-memory Postgres (PGlite, no install needed) and
+ * creates the schema in it. With TEST_DATABASE_URL set that database is
+ * used instead; never point it at one you care about, it is reset.
+ */
+export default async function setup() {
+  let db = null;
+  let server = null;
+
+  const stop = async () => {
+    await server?.stop();
+    await db?.close();
+  };
+
+  if (!process.env.TEST_DATABASE_URL) {
+    db = await PGlite.create();
+    server = new PGLiteSocketServer({
+      db,
+      port: EMBEDDED_PORT,
+      host: "127.0.0.1",
+    });
+    await server.start();
+  }
+
+  try {
+    execSync("npx prisma db push --force-reset --skip-generate", {
+      env: { ...process.env, DATABASE_URL: TEST_DATABASE_URL },
+      stdio: "inherit",
+    });
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  return stop;
+}
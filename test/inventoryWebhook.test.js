@@ -0,0 +1,336 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { action } from "../app/routes/webhooks.inventory_levels.update";
+import { runNotificationJobs } from "../app/jobs/notificationWorker.server";
+import { encryptConfig } from "../app/models/shopSettings.server";
+import { LOCATION_ID, createFakeAdmin } from "./support/fakeAdmin";
+import { createFakeCleverTap } from "./support/fakeCleverTap";
+import { handleHost, jsonResponse } from "./support/network";
+import { webhookRequest } from "./support/requests";
+import { SHOP, createRequest, installShop } from "./support/shop";
+
+const PRODUCT_ID = "1001";
+const VARIANT_ID = "2001";
+const INVENTORY_ITEM_ID = "3001";
+const EMAIL = "shopper@example.com";
+const PHONE = "+15551234567";
+const TWILIO_CONFIG = {
+  accountSid: `AC${"0".repeat(32)}`,
+  authToken: "test-token",
+  from: "+15557654321",
+};
+
+let admin;
+let clevertap;
+
+function inventoryWebhook(available, options) {
+  admin.setAvailable(VARIANT_ID, available);
+
+  return action({
+    request: webhookRequest(
+      SHOP,
+      "inventory_levels/update",
+      {
+        inventory_item_id: Number(INVENTORY_ITEM_ID),
+        location_id: LOCATION_ID,
+        available,
+      },
+      options,
+    ),
+  });
+}
+
+async function waitingRequest() {
+  const metaobjectId = admin.addMetaobject({
+    email: EMAIL,
+    product_id: PRODUCT_ID,
+    variant_id: VARIANT_ID,
+    status: "pending",
+  });
+
+  return createRequest({
+    email: EMAIL,
+    productId: PRODUCT_ID,
+    variantId: VARIANT_ID,
+    metaobjectId,
+  });
+}
+
+beforeEach(() => {
+  admin = createFakeAdmin(SHOP);
+  admin.addVariant({
+    productId: PRODUCT_ID,
+    variantId: VARIANT_ID,
+    inventoryItemId: INVENTORY_ITEM_ID,
+    title: "Linen shirt",
+    handle: "linen-shirt",
+  });
+  clevertap = createFakeCleverTap();
+});
+
+describe("inventory_levels/update", () => {
+  it("notifies waiting subscribers when the variant is restocked", async () => {
+    await installShop();
+    const request = await waitingRequest();
+
+    const response = await inventoryWebhook(5);
+
+    expect(response.status).toBe(200);
+    expect(await db.notificationJob.count()).toBe(1);
+
+    expect(await runNotificationJobs()).toBe(1);
+
+    expect(clevertap.uploads).toHaveLength(1);
+    expect(clevertap.uploads[0]).toMatchObject({
+      region: "eu1",
+      accountId: "TEST-ACCOUNT",
+    });
+    expect(clevertap.events()[0]).toMatchObject({
+      identity: EMAIL,
+      evtName: "Back In Stock",
+      evtData: {
+        variant_id: VARIANT_ID,
+        product_title: "Linen shirt",
+        product_url: `https://${SHOP}/products/linen-shirt`,
+      },
+    });
+
+    const notified = await db.backInStockRequest.findUnique({
+      where: { id: request.id },
+    });
+    expect(notified.status).toBe("notified");
+    expect(notified.notifiedAt).not.toBeNull();
+    expect(admin.metaobjects.get(request.metaobjectId).fields.status).toBe(
+      "notified",
+    );
+
+    const [attempt] = await db.notificationAttempt.findMany();
+    expect(attempt).toMatchObject({
+      requestId: request.id,
+      provider: "clevertap",
+      status: "sent",
+    });
+  });
+
+  it("untags the customer once they've been notified", async () => {
+    await installShop(SHOP, { settings: { tagCustomers: true } });
+    const customerId = admin.addCustomer("4001", [`bis:${VARIANT_ID}`]);
+    await createRequest({
+      email: EMAIL,
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+      customerId,
+    });
+
+    await inventoryWebhook(5);
+    await runNotificationJobs();
+
+    expect(admin.customer(customerId)).toEqual({ tags: [], metafields: {} });
+  });
+
+  it("does nothing when nobody is waiting for the variant", async () => {
+    await installShop();
+
+    const response = await inventoryWebhook(5);
+
+    expect(response.status).toBe(200);
+    expect(await db.notificationJob.count()).toBe(0);
+    expect(await runNotificationJobs()).toBe(0);
+    expect(clevertap.uploads).toHaveLength(0);
+  });
+
+  it("handles a repeated delivery only once", async () => {
+    await installShop();
+    await waitingRequest();
+
+    await inventoryWebhook(5, { webhookId: "delivery-1" });
+    await runNotificationJobs();
+    await inventoryWebhook(5, { webhookId: "delivery-1" });
+
+    expect(await db.notificationJob.count()).toBe(1);
+    expect(await runNotificationJobs()).toBe(0);
+    expect(clevertap.uploads).toHaveLength(1);
+  });
+
+  it("queues nothing while the email provider isn't configured", async () => {
+    await installShop(SHOP, { clevertap: false });
+    const request = await waitingRequest();
+
+    const response = await inventoryWebhook(5);
+
+    expect(response.status).toBe(200);
+    // A shop without settings is checked for pre-Prisma metafields first
+    expect(admin.operationNames()).toContain("legacyNotificationSettings");
+    expect(await db.notificationJob.count()).toBe(0);
+    expect(
+      (await db.backInStockRequest.findUnique({ where: { id: request.id } }))
+        .status,
+    ).toBe("pending");
+    expect(clevertap.uploads).toHaveLength(0);
+  });
+
+  it("logs a failed attempt when credentials are removed before sending", async () => {
+    await installShop();
+    const request = await waitingRequest();
+    await inventoryWebhook(5);
+
+    await db.shopSettings.update({
+      where: { shop: SHOP },
+      data: { providerConfig: null },
+    });
+    await runNotificationJobs();
+
+    const [attempt] = await db.notificationAttempt.findMany();
+    expect(attempt).toMatchObject({
+      requestId: request.id,
+      provider: "clevertap",
+      status: "failed",
+      httpStatus: null,
+    });
+    expect(attempt.error).toContain("clevertap not configured");
+    expect(clevertap.uploads).toHaveLength(0);
+  });
+
+  it("retries and logs the provider's answer when CleverTap fails", async () => {
+    await installShop();
+    const request = await waitingRequest();
+    clevertap.failWith(500, { status: "fail", error: "Upstream timeout" });
+
+    await inventoryWebhook(5);
+    await runNotificationJobs();
+
+    const job = await db.notificationJob.findFirst();
+    expect(job).toMatchObject({ status: "pending", attempts: 1 });
+    expect(job.lastError).toContain("CleverTap API error (500)");
+    expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Back on the waitlist for the retry
+    expect(
+      (await db.backInStockRequest.findUnique({ where: { id: request.id } }))
+        .status,
+    ).toBe("pending");
+
+    const [attempt] = await db.notificationAttempt.findMany();
+    expect(attempt).toMatchObject({
+      status: "failed",
+      httpStatus: 500,
+      error: JSON.stringify({ status: "fail", error: "Upstream timeout" }),
+    });
+  });
+
+  it("doesn't start a new wave as restocked units sell", async () => {
+    await installShop(SHOP, { settings: { restockMultiplier: 1 } });
+    for (let i = 0; i < 4; i++) await waitingRequest();
+
+    await inventoryWebhook(2);
+    await runNotificationJobs();
+    await inventoryWebhook(1);
+    await inventoryWebhook(0);
+
+    expect(await db.notificationJob.count()).toBe(2);
+    expect(
+      await db.backInStockRequest.count({ where: { status: "pending" } }),
+    ).toBe(2);
+
+    // Selling out and coming back is a new restock
+    await inventoryWebhook(1);
+
+    expect(await db.notificationJob.count()).toBe(3);
+  });
+
+  it("resends a request left mid-send by a worker that died", async () => {
+    await installShop();
+    const request = await waitingRequest();
+    await inventoryWebhook(5);
+
+    // The worker claimed both, then the process was killed
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
+    await db.notificationJob.updateMany({
+      data: { status: "processing", lockedAt: tenMinutesAgo },
+    });
+    await db.backInStockRequest.update({
+      where: { id: request.id },
+      data: { status: "sending", sendingAt: tenMinutesAgo },
+    });
+
+    expect(await runNotificationJobs()).toBe(1);
+
+    expect(clevertap.uploads).toHaveLength(1);
+    expect(
+      await db.backInStockRequest.findUnique({ where: { id: request.id } }),
+    ).toMatchObject({ status: "notified", sendingAt: null });
+  });
+
+  it("leaves SMS subscribers waiting until an SMS provider is set up", async () => {
+    await installShop();
+    await createRequest({
+      phone: PHONE,
+      channel: "sms",
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+    });
+
+    await inventoryWebhook(5);
+
+    expect(await db.notificationJob.count()).toBe(0);
+  });
+
+  it("texts SMS subscribers through Twilio", async () => {
+    await installShop(SHOP, {
+      settings: {
+        smsProvider: "twilio",
+        smsProviderConfig: encryptConfig(TWILIO_CONFIG),
+      },
+    });
+    const messages = [];
+    handleHost(/^api\.twilio\.com$/, async (request) => {
+      messages.push({
+        url: request.url,
+        body: new URLSearchParams(await request.text()),
+      });
+      return jsonResponse({ sid: "SM1" }, 201);
+    });
+    await createRequest({
+      phone: PHONE,
+      channel: "sms",
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+    });
+
+    await inventoryWebhook(5);
+    await runNotificationJobs();
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].url).toContain(TWILIO_CONFIG.accountSid);
+    expect(messages[0].body.get("To")).toBe(PHONE);
+    expect(messages[0].body.get("From")).toBe(TWILIO_CONFIG.from);
+    expect(messages[0].body.get("Body")).toContain("Linen shirt");
+  });
+
+  it("holds alerts while the product is a draft", async () => {
+    await installShop();
+    const request = await waitingRequest();
+    admin.setProductStatus(PRODUCT_ID, "DRAFT");
+
+    await inventoryWebhook(5);
+
+    expect(await db.notificationJob.count()).toBe(0);
+    expect(await db.stockLevel.findFirst()).toMatchObject({ available: 5 });
+
+    admin.setProductStatus(PRODUCT_ID, "ACTIVE");
+    await inventoryWebhook(4);
+
+    const [job] = await db.notificationJob.findMany();
+    expect(job.requestId).toBe(request.id);
+  });
+
+  it("ignores stock levels that stay at zero", async () => {
+    await installShop();
+    await waitingRequest();
+
+    await inventoryWebhook(0);
+
+    expect(await db.notificationJob.count()).toBe(0);
+    expect(admin.calls).toHaveLength(0);
+  });
+});
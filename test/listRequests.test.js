@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { listRequests } from "../app/models/backInStockRequest.server";
+import { SHOP, createRequest } from "./support/shop";
+
+describe("listRequests", () => {
+  it("filters by status and request date", async () => {
+    await createRequest({
+      email: "old@example.com",
+      productId: "1001",
+      variantId: "2001",
+      createdAt: new Date("2026-01-01T12:00:00Z"),
+    });
+    await createRequest({
+      email: "new@example.com",
+      productId: "1001",
+      variantId: "2001",
+      status: "notified",
+      createdAt: new Date("2026-02-01T12:00:00Z"),
+    });
+
+    const { requests } = await listRequests(
+      SHOP,
+      { status: "pending", to: "2026-01-01" },
+      {},
+    );
+
+    expect(requests.map((r) => r.email)).toEqual(["old@example.com"]);
+  });
+
+  it("ignores dates and statuses it doesn't understand", async () => {
+    await createRequest({
+      email: "shopper@example.com",
+      productId: "1001",
+      variantId: "2001",
+    });
+
+    const { total } = await listRequests(
+      SHOP,
+      { status: "bogus", from: "yesterday", to: "2026-13-45" },
+      {},
+    );
+
+    expect(total).toBe(1);
+  });
+});
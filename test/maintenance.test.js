@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { runMaintenance } from "../app/jobs/maintenance.server";
+import { SHOP } from "./support/shop";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+describe("runMaintenance", () => {
+  it("deletes webhook claims past Shopify's retries", async () => {
+    await db.processedWebhook.createMany({
+      data: [
+        { shop: SHOP, webhookId: "old", topic: "x", processedAt: daysAgo(8) },
+        { shop: SHOP, webhookId: "new", topic: "x", processedAt: daysAgo(1) },
+      ],
+    });
+
+    await runMaintenance();
+
+    const claims = await db.processedWebhook.findMany();
+    expect(claims.map((claim) => claim.webhookId)).toEqual(["new"]);
+  });
+
+  it("deletes old finished jobs and keeps unfinished ones", async () => {
+    const job = (status, days) => ({
+      shop: SHOP,
+      requestId: `${status}-${days}`,
+      status,
+      payload: {},
+      updatedAt: daysAgo(days),
+    });
+    await db.notificationJob.createMany({
+      data: [
+        job("completed", 200),
+        job("dead", 200),
+        job("halted", 200),
+        job("pending", 200),
+        job("completed", 10),
+      ],
+    });
+
+    await runMaintenance();
+
+    const jobs = await db.notificationJob.findMany({
+      orderBy: { requestId: "asc" },
+    });
+    expect(jobs.map((remaining) => remaining.requestId)).toEqual([
+      "completed-10",
+      "halted-200",
+      "pending-200",
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import {
+  DEFINITION_VERSION,
+  ensureRequestMetaobjectDefinition,
+} from "../app/metaobjectDefinition.server";
+import { unauthenticated } from "../app/shopify.server";
+import { createFakeAdmin } from "./support/fakeAdmin";
+import { resetNetwork } from "./support/network";
+import { SHOP, installShop } from "./support/shop";
+
+const ALL_FIELDS = [
+  "email",
+  "product_id",
+  "variant_id",
+  "status",
+  "created_at",
+  "phone",
+  "channel",
+  "requested_at",
+  "confirmed_at",
+  "notified_at",
+  "cancelled_at",
+  "locale",
+  "market",
+  "currency",
+  "referrer",
+  "customer_id",
+  "marketing_consent",
+];
+
+let admin;
+
+// The app's own Admin client for the installed shop, talking to the fake
+async function ensure() {
+  const { admin: client } = await unauthenticated.admin(SHOP);
+  return ensureRequestMetaobjectDefinition(client, SHOP);
+}
+
+beforeEach(() => {
+  admin = createFakeAdmin(SHOP);
+});
+
+describe("ensureRequestMetaobjectDefinition", () => {
+  it("creates the definition on a fresh shop", async () => {
+    await installShop();
+
+    const version = await ensure();
+
+    expect(version).toBe(DEFINITION_VERSION);
+    expect(admin.definitionKeys()).toEqual(ALL_FIELDS);
+    expect(
+      (await db.shopSettings.findUnique({ where: { shop: SHOP } }))
+        .definitionVersion,
+    ).toBe(DEFINITION_VERSION);
+  });
+
+  it("adds only the missing fields to an older definition", async () => {
+    await installShop();
+    admin.addDefinition([
+      "email",
+      "product_id",
+      "variant_id",
+      "status",
+      "created_at",
+      "note",
+    ]);
+
+    await ensure();
+
+    expect(admin.operationNames()).toContain(
+      "updateRequestMetaobjectDefinition",
+    );
+    expect(admin.definitionKeys()).toEqual([
+      ...ALL_FIELDS.slice(0, 5),
+      "note",
+      ...ALL_FIELDS.slice(5),
+    ]);
+  });
+
+  it("leaves up-to-date and non-mirroring shops alone", async () => {
+    await installShop(SHOP, {
+      settings: { definitionVersion: DEFINITION_VERSION },
+    });
+    expect(await ensure()).toBeNull();
+
+    await db.shopSettings.update({
+      where: { shop: SHOP },
+      data: { definitionVersion: 0, mirrorMetaobjects: false },
+    });
+    expect(await ensure()).toBeNull();
+
+    expect(admin.operationNames()).toEqual([]);
+  });
+
+  it("needs the metaobject definition scopes", async () => {
+    resetNetwork();
+    admin = createFakeAdmin(SHOP, {
+      scopes: process.env.SCOPES.replaceAll(
+        /(read|write)_metaobject_definitions,/g,
+        "",
+      ),
+    });
+    await installShop();
+
+    await expect(ensure()).rejects.toThrow();
+    expect(
+      (await db.shopSettings.findUnique({ where: { shop: SHOP } }))
+        .definitionVersion,
+    ).toBe(0);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { importRequestsFromMetaobjects } from "../app/models/backInStockRequest.server";
+import { unauthenticated } from "../app/shopify.server";
+import { createFakeAdmin } from "./support/fakeAdmin";
+import { SHOP, installShop } from "./support/shop";
+
+// One more than a page, so the import needs two
+const REQUESTS = 251;
+
+async function importRequests() {
+  const { admin } = await unauthenticated.admin(SHOP);
+  return importRequestsFromMetaobjects(admin, SHOP);
+}
+
+async function importedAt() {
+  const settings = await db.shopSettings.findUnique({ where: { shop: SHOP } });
+  return settings?.metaobjectsImportedAt ?? null;
+}
+
+describe("importRequestsFromMetaobjects", () => {
+  it("leaves the shop to retry when a later page fails", async () => {
+    const admin = createFakeAdmin(SHOP);
+    await installShop();
+    for (let i = 0; i < REQUESTS; i++) {
+      admin.addMetaobject({
+        email: `shopper${i}@example.com`,
+        product_id: "1001",
+        variant_id: "2001",
+        status: "pending",
+      });
+    }
+    admin.failOperation("backInStockRequests", { after: 1 });
+
+    await expect(importRequests()).rejects.toThrow();
+    expect(await importedAt()).toBeNull();
+
+    expect(await importRequests()).toBe(REQUESTS);
+    expect(await importedAt()).not.toBeNull();
+    expect(await db.backInStockRequest.count()).toBe(REQUESTS);
+  });
+});
@@ -0,0 +1,87 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { getNotificationSettings } from "../app/notifications/settings.server";
+import { unauthenticated } from "../app/shopify.server";
+import { createFakeAdmin } from "./support/fakeAdmin";
+import { CLEVERTAP_CONFIG, SHOP, installShop } from "./support/shop";
+
+let admin;
+
+async function settings() {
+  const { admin: client } = await unauthenticated.admin(SHOP);
+  return getNotificationSettings(SHOP, client);
+}
+
+function setLegacyMetafields() {
+  admin.setShopMetafield("clevertap", "account_id", CLEVERTAP_CONFIG.accountId);
+  admin.setShopMetafield("clevertap", "passcode", CLEVERTAP_CONFIG.passcode);
+  admin.setShopMetafield("clevertap", "region", CLEVERTAP_CONFIG.region);
+}
+
+beforeEach(() => {
+  admin = createFakeAdmin(SHOP);
+});
+
+describe("getNotificationSettings", () => {
+  it("migrates metafield credentials when the settings row already exists", async () => {
+    await installShop(SHOP, { clevertap: false });
+    // As afterAuth leaves it before settings are ever read
+    await db.shopSettings.create({
+      data: { shop: SHOP, definitionVersion: 3 },
+    });
+    setLegacyMetafields();
+
+    const { providerName, config, errors } = await settings();
+
+    expect(providerName).toBe("clevertap");
+    expect(config).toEqual(CLEVERTAP_CONFIG);
+    expect(errors).toEqual([]);
+    expect(admin.shopMetafields()).toEqual({});
+
+    await settings();
+
+    expect(
+      admin
+        .operationNames()
+        .filter((name) => name === "legacyNotificationSettings"),
+    ).toHaveLength(1);
+  });
+
+  it("keeps credentials saved since and still deletes the metafields", async () => {
+    await installShop(SHOP, { settings: { legacySettingsMigratedAt: null } });
+    admin.setShopMetafield("clevertap", "account_id", "OLD-ACCOUNT");
+    admin.setShopMetafield("clevertap", "passcode", "old-passcode");
+
+    const { config } = await settings();
+
+    expect(config).toEqual(CLEVERTAP_CONFIG);
+    expect(admin.shopMetafields()).toEqual({});
+    expect(
+      (await db.shopSettings.findUnique({ where: { shop: SHOP } }))
+        .legacySettingsMigratedAt,
+    ).toBeInstanceOf(Date);
+  });
+
+  it("retries the migration until the metafields are deleted", async () => {
+    await installShop(SHOP, { clevertap: false });
+    setLegacyMetafields();
+    admin.failOperation("deleteLegacyNotificationSettings");
+
+    const { config } = await settings();
+
+    expect(config).toEqual(CLEVERTAP_CONFIG);
+    expect(admin.shopMetafields()).not.toEqual({});
+    expect(
+      (await db.shopSettings.findUnique({ where: { shop: SHOP } }))
+        .legacySettingsMigratedAt,
+    ).toBeNull();
+
+    await settings();
+
+    expect(admin.shopMetafields()).toEqual({});
+    expect(
+      (await db.shopSettings.findUnique({ where: { shop: SHOP } }))
+        .legacySettingsMigratedAt,
+    ).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,267 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { action } from "../app/routes/notify";
+import { runNotificationJobs } from "../app/jobs/notificationWorker.server";
+import { createFakeAdmin } from "./support/fakeAdmin";
+import { createFakeCleverTap } from "./support/fakeCleverTap";
+import { appProxyRequest, formToken } from "./support/requests";
+import { SHOP, installShop } from "./support/shop";
+
+const PRODUCT_ID = "1001";
+const VARIANT_ID = "2001";
+const EMAIL = "shopper@example.com";
+
+let admin;
+let clevertap;
+
+function subscribe(body, options = {}) {
+  return action({
+    request: appProxyRequest(SHOP, "/notify", {
+      method: "POST",
+      body: {
+        email: EMAIL,
+        product_id: PRODUCT_ID,
+        variant_id: VARIANT_ID,
+        token: formToken(SHOP),
+        ...body,
+      },
+      ...options,
+    }),
+  });
+}
+
+beforeEach(async () => {
+  admin = createFakeAdmin(SHOP);
+  admin.addVariant({
+    productId: PRODUCT_ID,
+    variantId: VARIANT_ID,
+    inventoryItemId: "3001",
+    available: 0,
+  });
+  clevertap = createFakeCleverTap();
+});
+
+describe("POST /notify", () => {
+  it("creates a pending request and its metaobject", async () => {
+    await installShop();
+
+    const response = await subscribe();
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({
+      success: true,
+      confirmationRequired: false,
+      request: { status: "pending" },
+    });
+
+    const request = await db.backInStockRequest.findUnique({
+      where: { id: body.request.id },
+    });
+    expect(request).toMatchObject({
+      shop: SHOP,
+      email: EMAIL,
+      channel: "email",
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+    });
+    expect(admin.metaobjects.get(request.metaobjectId).fields).toMatchObject({
+      email: EMAIL,
+      variant_id: VARIANT_ID,
+      status: "pending",
+    });
+  });
+
+  it("skips the metaobject when mirroring is off", async () => {
+    await installShop(SHOP, { settings: { mirrorMetaobjects: false } });
+
+    const body = await (await subscribe()).json();
+
+    const request = await db.backInStockRequest.findUnique({
+      where: { id: body.request.id },
+    });
+    expect(request).toMatchObject({ status: "pending", metaobjectId: null });
+    expect(admin.operationNames()).not.toContain("CreateBackInStockRequest");
+  });
+
+  it("records where the shopper signed up and passes it on", async () => {
+    await installShop(SHOP, { settings: { doubleOptIn: true } });
+
+    const body = await (
+      await subscribe(
+        {
+          locale: "fr-CA",
+          market: "ca",
+          currency: "cad",
+          referrer: `https://${SHOP}/products/test-product`,
+          marketing_consent: true,
+        },
+        { query: { logged_in_customer_id: "4001" } },
+      )
+    ).json();
+
+    const request = await db.backInStockRequest.findUnique({
+      where: { id: body.request.id },
+    });
+    expect(request).toMatchObject({
+      locale: "fr-CA",
+      market: "ca",
+      currency: "CAD",
+      customerId: "gid://shopify/Customer/4001",
+      marketingConsent: true,
+    });
+    expect(admin.metaobjects.get(request.metaobjectId).fields).toMatchObject({
+      requested_at: request.createdAt.toISOString(),
+      customer_id: "gid://shopify/Customer/4001",
+      marketing_consent: "true",
+    });
+
+    await runNotificationJobs();
+
+    const [event] = clevertap.events();
+    expect(event.evtData).toMatchObject({
+      requested_at: request.createdAt.toISOString(),
+      locale: "fr-CA",
+      market: "ca",
+      currency: "CAD",
+      referrer: `https://${SHOP}/products/test-product`,
+      customer_id: "gid://shopify/Customer/4001",
+      marketing_consent: true,
+    });
+  });
+
+  it("tags logged-in customers with the variant they're waiting for", async () => {
+    await installShop(SHOP, { settings: { tagCustomers: true } });
+    const customerId = admin.addCustomer("4001", ["vip"]);
+
+    await subscribe({}, { query: { logged_in_customer_id: "4001" } });
+
+    expect(admin.customer(customerId)).toEqual({
+      tags: ["vip", `bis:${VARIANT_ID}`],
+      metafields: {
+        "back_in_stock.waitlist": [
+          `gid://shopify/ProductVariant/${VARIANT_ID}`,
+        ],
+      },
+    });
+  });
+
+  it("hands back the open request on a repeat signup", async () => {
+    await installShop();
+
+    const first = await (await subscribe()).json();
+    const second = await (await subscribe()).json();
+
+    expect(second).toMatchObject({
+      existing: true,
+      request: { id: first.request.id },
+    });
+    expect(await db.backInStockRequest.count()).toBe(1);
+    expect(admin.metaobjects.size).toBe(1);
+  });
+
+  it("creates one request when the same signup arrives twice at once", async () => {
+    await installShop();
+
+    const responses = await Promise.all([subscribe(), subscribe()]);
+    const bodies = await Promise.all(responses.map((r) => r.json()));
+
+    expect(bodies.filter((body) => body.existing)).toHaveLength(1);
+    expect(new Set(bodies.map((body) => body.request.id)).size).toBe(1);
+    expect(await db.backInStockRequest.count()).toBe(1);
+  });
+
+  it("refuses variants that are in stock", async () => {
+    await installShop();
+    admin.setAvailable(VARIANT_ID, 3);
+
+    const response = await subscribe();
+
+    expect(response.status).toBe(422);
+    expect((await response.json()).errors).toEqual([
+      { field: "variant_id", message: "Variant is in stock" },
+    ]);
+    expect(await db.backInStockRequest.count()).toBe(0);
+  });
+
+  it("returns field errors for invalid input", async () => {
+    await installShop();
+
+    const response = await subscribe({ email: "not-an-email" });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toEqual(
+      expect.arrayContaining([expect.objectContaining({ field: "email" })]),
+    );
+    expect(admin.calls).toHaveLength(0);
+  });
+
+  it("requires a form token", async () => {
+    await installShop();
+
+    const response = await subscribe({ token: undefined });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toEqual([
+      { field: "token", message: "Form expired, please retry" },
+    ]);
+    expect(await db.backInStockRequest.count()).toBe(0);
+  });
+
+  it("rate limits by the address Shopify saw, not a forwarded one", async () => {
+    await installShop();
+
+    const responses = [];
+    for (let i = 0; i < 11; i++) {
+      responses.push(
+        await subscribe(
+          { email: `shopper${i}@example.com` },
+          { headers: { "X-Forwarded-For": `10.0.0.${i}, 203.0.113.10` } },
+        ),
+      );
+    }
+
+    expect(responses.map((r) => r.status)).toEqual([
+      ...Array(10).fill(200),
+      429,
+    ]);
+  });
+
+  it("rejects requests that weren't signed by the app proxy", async () => {
+    await installShop();
+    const url = new URL(appProxyRequest(SHOP, "/notify").url);
+    url.searchParams.set("signature", "0".repeat(64));
+    const request = new Request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        email: EMAIL,
+        product_id: PRODUCT_ID,
+        variant_id: VARIANT_ID,
+      }),
+    });
+
+    await expect(action({ request })).rejects.toMatchObject({ status: 400 });
+    expect(await db.backInStockRequest.count()).toBe(0);
+  });
+
+  it("sends a confirmation first when double opt-in is on", async () => {
+    await installShop(SHOP, { settings: { doubleOptIn: true } });
+
+    const body = await (await subscribe()).json();
+
+    expect(body).toMatchObject({
+      confirmationRequired: true,
+      request: { status: "unconfirmed" },
+    });
+
+    await runNotificationJobs();
+
+    const [event] = clevertap.events();
+    expect(event).toMatchObject({
+      identity: EMAIL,
+      evtName: "Back In Stock Confirmation",
+    });
+    expect(event.evtData.confirm_url).toContain("/notify/confirm?token=");
+  });
+});
@@ -0,0 +1,82 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { action, loader } from "../app/routes/notify_.preferences";
+import { preferencesUrl } from "../app/notifications/preferences.server";
+import { smsText } from "../app/notifications/events.server";
+import { createFakeAdmin } from "./support/fakeAdmin";
+import { appProxyRequest } from "./support/requests";
+import { SHOP, createRequest, installShop } from "./support/shop";
+
+const EMAIL = "shopper@example.com";
+
+let request;
+let token;
+
+beforeEach(async () => {
+  createFakeAdmin(SHOP).addVariant({
+    productId: "1001",
+    variantId: "2001",
+    inventoryItemId: "3001",
+    title: "Linen shirt",
+  });
+  await installShop();
+  request = await createRequest({
+    email: EMAIL,
+    productId: "1001",
+    variantId: "2001",
+  });
+  token = new URL(preferencesUrl(SHOP, request)).searchParams.get("token");
+});
+
+describe("/notify/preferences", () => {
+  it("links by request, not by the subscriber's contact", async () => {
+    const payload = Buffer.from(token.split(".")[0], "base64url").toString();
+    expect(payload).not.toContain(EMAIL);
+
+    const page = await loader({
+      request: appProxyRequest(SHOP, "/notify/preferences", {
+        query: { token },
+      }),
+    });
+    const html = await page.text();
+
+    expect(html).toContain(`Alerts for ${EMAIL}`);
+    expect(html).toContain("Linen shirt - Default");
+  });
+
+  it("unsubscribes from every open request", async () => {
+    const other = await createRequest({
+      email: EMAIL,
+      productId: "1001",
+      variantId: "2002",
+    });
+
+    await action({
+      request: appProxyRequest(SHOP, "/notify/preferences", {
+        method: "POST",
+        body: new URLSearchParams({ token, intent: "unsubscribeAll" }),
+      }),
+    });
+
+    const statuses = await db.backInStockRequest.findMany({
+      where: { id: { in: [request.id, other.id] } },
+      select: { status: true },
+    });
+    expect(statuses).toEqual([
+      { status: "unsubscribed" },
+      { status: "unsubscribed" },
+    ]);
+  });
+
+  it("gives SMS subscribers the link too", () => {
+    const url = preferencesUrl(SHOP, { ...request, channel: "sms" });
+
+    expect(
+      smsText({
+        productTitle: "Linen shirt",
+        productUrl: `https://${SHOP}/products/linen-shirt`,
+        unsubscribeUrl: url,
+      }),
+    ).toContain(`Stop or manage alerts: ${url}`);
+  });
+});
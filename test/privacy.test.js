@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import {
+  collectCustomerData,
+  exportCustomerData,
+  redactCustomer,
+} from "../app/privacy.server";
+import { recordAudit } from "../app/models/auditLog.server";
+import { SHOP, createRequest } from "./support/shop";
+
+const CUSTOMER = { id: 4001, email: "Shopper@example.com" };
+
+async function customerRequest() {
+  return createRequest({
+    email: "shopper@example.com",
+    productId: "1001",
+    variantId: "2001",
+    referrer: `https://${SHOP}/products/linen-shirt`,
+  });
+}
+
+describe("customer privacy", () => {
+  it("logs a data request without the customer's data", async () => {
+    await customerRequest();
+
+    await exportCustomerData(SHOP, {
+      customer: CUSTOMER,
+      data_request: { id: 9001 },
+    });
+
+    const [entry] = await db.auditLog.findMany();
+    expect(entry).toMatchObject({
+      action: "customers/data_request",
+      subject: "4001",
+      details: { dataRequestId: 9001, requests: 1, conversions: 0 },
+    });
+    expect(JSON.stringify(entry.details)).not.toContain("example.com");
+
+    const data = await collectCustomerData(SHOP, CUSTOMER);
+    expect(data.requests).toMatchObject([
+      {
+        email: "shopper@example.com",
+        referrer: `https://${SHOP}/products/linen-shirt`,
+      },
+    ]);
+  });
+
+  it("deletes earlier audit entries that mention the customer", async () => {
+    await customerRequest();
+    await recordAudit(SHOP, "customers/data_request", {
+      details: { requests: [{ email: "shopper@example.com" }] },
+    });
+    await recordAudit(SHOP, "customers/data_request", {
+      subject: CUSTOMER.id,
+      details: { requests: 1 },
+    });
+    await recordAudit(SHOP, "customers/data_request", {
+      subject: 4002,
+      details: { requests: [{ email: "someone@example.com" }] },
+    });
+
+    const details = await redactCustomer(SHOP, { customer: CUSTOMER });
+
+    expect(details).toMatchObject({ requests: 1, auditEntries: 2 });
+    const entries = await db.auditLog.findMany({
+      orderBy: { createdAt: "asc" },
+    });
+    expect(entries.map((e) => [e.action, e.subject])).toEqual([
+      ["customers/data_request", "4002"],
+      ["customers/redact", "4001"],
+    ]);
+  });
+});
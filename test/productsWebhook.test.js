@@ -0,0 +1,110 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import db from "../app/db.server";
+import { action } from "../app/routes/webhooks.products.update";
+import { createFakeAdmin } from "./support/fakeAdmin";
+import { webhookRequest } from "./support/requests";
+import { SHOP, createRequest, installShop } from "./support/shop";
+
+const PRODUCT_ID = "1001";
+const VARIANT_ID = "2001";
+
+let admin;
+
+function productsWebhook(status) {
+  return action({
+    request: webhookRequest(SHOP, "products/update", {
+      id: Number(PRODUCT_ID),
+      title: "Linen shirt",
+      handle: "linen-shirt",
+      status,
+      published_at: status === "active" ? "2026-01-01T00:00:00Z" : null,
+      variants: [{ id: Number(VARIANT_ID) }],
+    }),
+  });
+}
+
+beforeEach(() => {
+  admin = createFakeAdmin(SHOP);
+  admin.addVariant({
+    productId: PRODUCT_ID,
+    variantId: VARIANT_ID,
+    inventoryItemId: "3001",
+  });
+});
+
+describe("products/update", () => {
+  it("leaves requests waiting while the product is a draft", async () => {
+    await installShop();
+    const request = await createRequest({
+      email: "shopper@example.com",
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+    });
+
+    await productsWebhook("draft");
+
+    const waiting = await db.backInStockRequest.findUnique({
+      where: { id: request.id },
+    });
+    expect(waiting.status).toBe("pending");
+  });
+
+  it("expires requests once the product is archived", async () => {
+    await installShop();
+    const request = await createRequest({
+      email: "shopper@example.com",
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+    });
+
+    await productsWebhook("archived");
+
+    const expired = await db.backInStockRequest.findUnique({
+      where: { id: request.id },
+    });
+    expect(expired).toMatchObject({
+      status: "expired",
+      statusReason: "product_archived",
+    });
+  });
+
+  it("queues waiting requests when a draft with stock is activated", async () => {
+    await installShop();
+    const request = await createRequest({
+      email: "shopper@example.com",
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+    });
+    // Recorded by an inventory webhook while the product was a draft
+    await db.stockLevel.create({
+      data: {
+        shop: SHOP,
+        inventoryItemId: "3001",
+        available: 5,
+        restockedAt: new Date(),
+      },
+    });
+
+    await productsWebhook("active");
+
+    const jobs = await db.notificationJob.findMany();
+    expect(jobs.map((job) => job.requestId)).toEqual([request.id]);
+
+    await productsWebhook("active");
+
+    expect(await db.notificationJob.count()).toBe(1);
+  });
+
+  it("queues nothing for an active product without stock", async () => {
+    await installShop();
+    await createRequest({
+      email: "shopper@example.com",
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+    });
+
+    await productsWebhook("active");
+
+    expect(await db.notificationJob.count()).toBe(0);
+  });
+});
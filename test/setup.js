@@ -0,0 +1,13 @@
+import { afterAll, beforeEach } from "vitest";
+import { resetNetwork } from "./support/network";
+import { resetDatabase } from "./support/shop";
+import db from "../app/db.server";
+
+beforeEach(async () => {
+  resetNetwork();
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await db.$disconnect();
+});
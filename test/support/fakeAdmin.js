@@ -0,0 +1,447 @@
+import { handleHost, jsonResponse } from "./network";
+
+// The only location; inventory webhooks should use this location_id
+export const LOCATION_ID = 1;
+
+const ONLINE_STORE = {
+  id: `gid://shopify/Location/${LOCATION_ID}`,
+  name: "Online store",
+  isActive: true,
+  fulfillsOnlineOrders: true,
+};
+
+// Access scopes each operation needs; operations on the shop itself need none
+const REQUIRED_SCOPES = {
+  notifyVariant: ["read_products", "read_inventory"],
+  notificationVariant: ["read_products"],
+  getInventoryItem: ["read_inventory", "read_products"],
+  existingVariants: ["read_products"],
+  preferenceVariants: ["read_products"],
+  restockVariants: ["read_products"],
+  restockLocations: ["read_locations"],
+  requestMetaobjectDefinition: ["read_metaobject_definitions"],
+  createRequestMetaobjectDefinition: ["write_metaobject_definitions"],
+  updateRequestMetaobjectDefinition: ["write_metaobject_definitions"],
+  customerWaitlistTags: ["read_customers"],
+  addWaitlistTags: ["write_customers"],
+  removeWaitlistTags: ["write_customers"],
+  setWaitlistMetafield: ["write_customers"],
+  deleteWaitlistMetafield: ["write_customers"],
+  CreateBackInStockRequest: ["write_metaobjects"],
+  updateBackInStockRequestStatus: ["write_metaobjects"],
+  redactBackInStockRequest: ["write_metaobjects"],
+  backInStockRequests: ["read_metaobjects"],
+};
+
+function gid(type, id) {
+  return `gid://shopify/${type}/${id}`;
+}
+
+function numericId(value) {
+  return String(value).split("/").pop();
+}
+
+/**
+ * In-memory stand-in for one shop's Admin GraphQL API. Knows the operations
+ * the app sends by name: metaobject create, update, delete and listing, the
+ * request metaobject definition, customer tags and metafields, plus variant
+ * and inventory item lookups. Anything else comes back as a GraphQL
+ * error naming the operation, so a new query fails loudly in tests.
+ *
+ * Operations need the access scopes Shopify would ask for, checked against
+ * `scopes` (by default, everything the app requests at install).
+ *
+ *   const admin = createFakeAdmin(SHOP);
+ *   admin.addVariant({ productId: "1", variantId: "11", inventoryItemId: "111" });
+ *   admin.setAvailable("11", 5);
+ */
+export function createFakeAdmin(shop, { scopes = process.env.SCOPES } = {}) {
+  const granted = new Set(scopes.split(","));
+  const variants = new Map();
+  const metaobjects = new Map();
+  const customers = new Map();
+  const failures = new Map();
+  // Shop metafield values keyed "namespace.key"
+  const shopMetafields = new Map();
+  const calls = [];
+  let nextMetaobjectId = 1;
+  // The back_in_stock_request definition, once created
+  let definition = null;
+
+  const levelsOf = (variant) => ({
+    nodes: [
+      {
+        location: ONLINE_STORE,
+        quantities: [{ name: "available", quantity: variant.available }],
+      },
+    ],
+  });
+
+  const variantNode = (variant) => ({
+    id: gid("ProductVariant", variant.variantId),
+    displayName: `${variant.title} - Default`,
+    image: null,
+    product: {
+      id: gid("Product", variant.productId),
+      status: variant.status,
+      title: variant.title,
+      handle: variant.handle,
+      featuredImage: { url: `https://cdn.example.test/${variant.handle}.png` },
+    },
+  });
+
+  const metaobjectNode = (metaobject) => ({
+    id: metaobject.id,
+    updatedAt: metaobject.updatedAt,
+    fields: Object.entries(metaobject.fields).map(([key, value]) => ({
+      key,
+      value,
+    })),
+  });
+
+  const operations = {
+    notifyVariant({ id }) {
+      const variant = variants.get(numericId(id));
+      return {
+        productVariant: variant && {
+          ...variantNode(variant),
+          inventoryItem: {
+            tracked: variant.tracked,
+            inventoryLevels: levelsOf(variant),
+          },
+        },
+      };
+    },
+
+    notificationVariant({ id }) {
+      const variant = variants.get(numericId(id));
+      return { productVariant: variant && variantNode(variant) };
+    },
+
+    getInventoryItem({ id }) {
+      const variant = [...variants.values()].find(
+        (v) => v.inventoryItemId === numericId(id),
+      );
+      return {
+        inventoryItem: variant && {
+          inventoryLevels: levelsOf(variant),
+          variant: variantNode(variant),
+        },
+      };
+    },
+
+    existingVariants({ ids }) {
+      return {
+        nodes: ids.map((id) => (variants.has(numericId(id)) ? { id } : null)),
+      };
+    },
+
+    preferenceVariants({ ids }) {
+      return {
+        nodes: ids.map((id) => {
+          const variant = variants.get(numericId(id));
+          return variant
+            ? { id, displayName: variantNode(variant).displayName }
+            : null;
+        }),
+      };
+    },
+
+    restockVariants({ ids }) {
+      return {
+        nodes: ids.map((id) => {
+          const variant = variants.get(numericId(id));
+          return variant
+            ? {
+                ...variantNode(variant),
+                inventoryItem: {
+                  id: gid("InventoryItem", variant.inventoryItemId),
+                },
+              }
+            : null;
+        }),
+      };
+    },
+
+    restockLocations() {
+      return { locations: { nodes: [ONLINE_STORE] } };
+    },
+
+    // Credentials older versions kept in plain shop metafields
+    legacyNotificationSettings() {
+      const value = (namespace, key) => {
+        const metafield = shopMetafields.get(`${namespace}.${key}`);
+        return metafield === undefined ? null : { value: metafield };
+      };
+      return {
+        shop: {
+          id: gid("Shop", 1),
+          provider: value("back_in_stock", "provider"),
+          providerConfig: value("back_in_stock", "provider_config"),
+          accountId: value("clevertap", "account_id"),
+          passcode: value("clevertap", "passcode"),
+          region: value("clevertap", "region"),
+        },
+      };
+    },
+
+    deleteLegacyNotificationSettings({ metafields }) {
+      for (const { namespace, key } of metafields) {
+        shopMetafields.delete(`${namespace}.${key}`);
+      }
+      return { metafieldsDelete: { userErrors: [] } };
+    },
+
+    requestMetaobjectDefinition() {
+      return { metaobjectDefinitionByType: definition };
+    },
+
+    createRequestMetaobjectDefinition({ definition: input }) {
+      definition = {
+        id: gid("MetaobjectDefinition", 1),
+        fieldDefinitions: input.fieldDefinitions.map(({ key }) => ({ key })),
+      };
+      return {
+        metaobjectDefinitionCreate: {
+          metaobjectDefinition: { id: definition.id },
+          userErrors: [],
+        },
+      };
+    },
+
+    updateRequestMetaobjectDefinition({ definition: input }) {
+      for (const { create } of input.fieldDefinitions) {
+        definition.fieldDefinitions.push({ key: create.key });
+      }
+      return {
+        metaobjectDefinitionUpdate: {
+          metaobjectDefinition: { id: definition.id },
+          userErrors: [],
+        },
+      };
+    },
+
+    customerWaitlistTags({ id }) {
+      const customer = customers.get(id);
+      return { customer: customer && { id, tags: customer.tags } };
+    },
+
+    addWaitlistTags({ id, tags }) {
+      const customer = customers.get(id);
+      customer.tags = [...new Set([...customer.tags, ...tags])];
+      return { tagsAdd: { userErrors: [] } };
+    },
+
+    removeWaitlistTags({ id, tags }) {
+      const customer = customers.get(id);
+      customer.tags = customer.tags.filter((tag) => !tags.includes(tag));
+      return { tagsRemove: { userErrors: [] } };
+    },
+
+    setWaitlistMetafield({ metafields }) {
+      for (const { ownerId, namespace, key, value } of metafields) {
+        customers.get(ownerId).metafields[`${namespace}.${key}`] =
+          JSON.parse(value);
+      }
+      return { metafieldsSet: { userErrors: [] } };
+    },
+
+    deleteWaitlistMetafield({ metafields }) {
+      for (const { ownerId, namespace, key } of metafields) {
+        delete customers.get(ownerId).metafields[`${namespace}.${key}`];
+      }
+      return { metafieldsDelete: { userErrors: [] } };
+    },
+
+    CreateBackInStockRequest({ metaobject }) {
+      const id = gid("Metaobject", nextMetaobjectId++);
+      metaobjects.set(id, {
+        id,
+        type: metaobject.type,
+        fields: Object.fromEntries(
+          metaobject.fields.map(({ key, value }) => [key, value]),
+        ),
+        updatedAt: new Date().toISOString(),
+      });
+      return { metaobjectCreate: { metaobject: { id }, userErrors: [] } };
+    },
+
+    updateBackInStockRequestStatus({ id, fields }) {
+      const metaobject = metaobjects.get(id);
+      if (metaobject) {
+        for (const { key, value } of fields) metaobject.fields[key] = value;
+        metaobject.updatedAt = new Date().toISOString();
+      }
+      return {
+        metaobjectUpdate: { metaobject: metaobject && { id }, userErrors: [] },
+      };
+    },
+
+    redactBackInStockRequest({ id }) {
+      const deleted = metaobjects.delete(id);
+      return { metaobjectDelete: { deletedId: deleted ? id : null } };
+    },
+
+    // Cursors are offsets into the list
+    backInStockRequests({ type, first, after }) {
+      const matching = [...metaobjects.values()].filter(
+        (metaobject) => metaobject.type === type,
+      );
+      const start = after ? Number(after) : 0;
+      const end = Math.min(start + first, matching.length);
+
+      return {
+        metaobjects: {
+          nodes: matching.slice(start, end).map(metaobjectNode),
+          pageInfo: {
+            hasNextPage: end < matching.length,
+            endCursor: String(end),
+          },
+        },
+      };
+    },
+  };
+
+  handleHost(
+    new RegExp(`^${shop.replaceAll(".", "\\.")}$`),
+    async (request) => {
+      const { pathname } = new URL(request.url);
+      if (!pathname.endsWith("/graphql.json")) {
+        return jsonResponse({ errors: "Not found" }, 404);
+      }
+
+      const { query, variables = {} } = await request.json();
+      const name = query.match(/(?:query|mutation)\s+(\w+)/)?.[1];
+      calls.push({ name, variables });
+
+      const failure = failures.get(name);
+      if (failure && failure.after-- <= 0) {
+        failures.delete(name);
+        return jsonResponse({
+          errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+        });
+      }
+
+      const operation = operations[name];
+      if (!operation) {
+        return jsonResponse({
+          errors: [{ message: `Fake Admin API has no handler for ${name}` }],
+        });
+      }
+
+      const missing = REQUIRED_SCOPES[name]?.find((scope) => {
+        // A write scope implies the matching read scope
+        const write = scope.replace(/^read_/, "write_");
+        return !granted.has(scope) && !granted.has(write);
+      });
+      if (missing) {
+        return jsonResponse({
+          errors: [
+            {
+              message: `Access denied for ${name}. Required access: \`${missing}\` access scope.`,
+              extensions: { code: "ACCESS_DENIED" },
+            },
+          ],
+        });
+      }
+
+      return jsonResponse({ data: operation(variables) });
+    },
+  );
+
+  return {
+    calls,
+    metaobjects,
+
+    addVariant({
+      productId,
+      variantId,
+      inventoryItemId,
+      title = "Test product",
+      handle = "test-product",
+      available = 0,
+      tracked = true,
+      status = "ACTIVE",
+    }) {
+      variants.set(String(variantId), {
+        productId: String(productId),
+        variantId: String(variantId),
+        inventoryItemId: String(inventoryItemId),
+        title,
+        handle,
+        available,
+        tracked,
+        status,
+      });
+    },
+
+    /** Seeds a customer; returns their GID. */
+    addCustomer(id, tags = []) {
+      const customerId = gid("Customer", id);
+      customers.set(customerId, { tags: [...tags], metafields: {} });
+      return customerId;
+    },
+
+    /** A customer's `{ tags, metafields }`, metafields keyed "namespace.key". */
+    customer(customerId) {
+      return customers.get(customerId);
+    },
+
+    /** Seeds a request metaobject, as if `/notify` had created it. */
+    addMetaobject(fields, type = "back_in_stock_request") {
+      return operations.CreateBackInStockRequest({
+        metaobject: {
+          type,
+          fields: Object.entries(fields).map(([key, value]) => ({
+            key,
+            value,
+          })),
+        },
+      }).metaobjectCreate.metaobject.id;
+    },
+
+    /** Seeds the request metaobject definition with the given field keys. */
+    addDefinition(keys) {
+      definition = {
+        id: gid("MetaobjectDefinition", 1),
+        fieldDefinitions: keys.map((key) => ({ key })),
+      };
+    },
+
+    /** Field keys of the request metaobject definition, or null. */
+    definitionKeys() {
+      return definition?.fieldDefinitions.map(({ key }) => key) ?? null;
+    },
+
+    /** Seeds a shop metafield, like the ones old versions stored. */
+    setShopMetafield(namespace, key, value) {
+      shopMetafields.set(`${namespace}.${key}`, value);
+    },
+
+    /** Shop metafield values keyed "namespace.key". */
+    shopMetafields() {
+      return Object.fromEntries(shopMetafields);
+    },
+
+    setAvailable(variantId, available) {
+      variants.get(String(variantId)).available = available;
+    },
+
+    /** Sets the status ("ACTIVE", "DRAFT" or "ARCHIVED") of a product. */
+    setProductStatus(productId, status) {
+      for (const variant of variants.values()) {
+        if (variant.productId === String(productId)) variant.status = status;
+      }
+    },
+
+    /** Makes the call to `name` after the next `after` ones fail, once. */
+    failOperation(name, { after = 0 } = {}) {
+      failures.set(name, { after });
+    },
+
+    /** Names of the operations sent so far, in order. */
+    operationNames() {
+      return calls.map((call) => call.name);
+    },
+  };
+}
@@ -0,0 +1,48 @@
+import { handleHost, jsonResponse } from "./network";
+
+/**
+ * Stand-in for CleverTap's `/1/upload` endpoint in every region. Accepted
+ * uploads are kept in `uploads`; `failWith` makes every later upload answer
+ * with an error instead.
+ */
+export function createFakeCleverTap() {
+  const uploads = [];
+  let failure = null;
+
+  handleHost(/\.api\.clevertap\.com$/, async (request) => {
+    const { hostname, pathname } = new URL(request.url);
+    if (request.method !== "POST" || pathname !== "/1/upload") {
+      return jsonResponse({ status: "fail", error: "Not found" }, 404);
+    }
+    if (failure) {
+      return jsonResponse(failure.body, failure.status);
+    }
+
+    const body = await request.json();
+    uploads.push({
+      region: hostname.split(".")[0],
+      accountId: request.headers.get("X-CleverTap-Account-Id"),
+      passcode: request.headers.get("X-CleverTap-Passcode"),
+      records: body.d,
+    });
+
+    return jsonResponse({
+      status: "success",
+      processed: body.d.length,
+      unprocessed: [],
+    });
+  });
+
+  return {
+    uploads,
+
+    /** Events uploaded so far, flattened across uploads. */
+    events() {
+      return uploads.flatMap((upload) => upload.records);
+    },
+
+    failWith(status, body = { status: "fail", error: "Internal error" }) {
+      failure = { status, body };
+    },
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Replaces `fetch` for the whole test process so nothing leaves the
+ * machine. Fakes register a handler for a host pattern; a request nobody
+ * handles fails the test instead of reaching the internet.
+ *
+ * The handler list lives on `global` because the Shopify API library
+ * keeps a reference to the `fetch` it saw when it was first imported.
+ */
+if (!global.fakeNetwork) {
+  global.fakeNetwork = { handlers: [] };
+
+  global.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    const { hostname } = new URL(request.url);
+    const route = global.fakeNetwork.handlers.find(({ host }) =>
+      host.test(hostname),
+    );
+
+    if (!route) {
+      throw new Error(`Unexpected network request to ${request.url}`);
+    }
+
+    return route.handler(request);
+  };
+}
+
+/**
+ * Routes requests whose hostname matches `host` to `handler(request)`,
+ * which returns a Response.
+ */
+export function handleHost(host, handler) {
+  global.fakeNetwork.handlers.push({ host, handler });
+}
+
+export function resetNetwork() {
+  global.fakeNetwork.handlers = [];
+}
+
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
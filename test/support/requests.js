@@ -0,0 +1,94 @@
+import { createHmac, randomUUID } from "crypto";
+import { vi } from "vitest";
+import { signToken } from "../../app/signing.server";
+
+const APP_URL = "https://app.example.test";
+const PROXY_PREFIX = "/apps/notify-me-in-stock";
+
+function secret() {
+  return process.env.SHOPIFY_API_SECRET;
+}
+
+/**
+ * A webhook delivery as Shopify sends it: JSON body signed with the app
+ * secret in `X-Shopify-Hmac-Sha256`.
+ */
+export function webhookRequest(
+  shop,
+  topic,
+  payload,
+  { webhookId = randomUUID(), apiVersion = "2026-04" } = {},
+) {
+  const body = JSON.stringify(payload);
+  const hmac = createHmac("sha256", secret()).update(body).digest("base64");
+
+  return new Request(`${APP_URL}/webhooks/${topic}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Hmac-Sha256": hmac,
+      "X-Shopify-Topic": topic,
+      "X-Shopify-Shop-Domain": shop,
+      "X-Shopify-Webhook-Id": webhookId,
+      "X-Shopify-API-Version": apiVersion,
+    },
+    body,
+  });
+}
+
+/**
+ * A storefront request forwarded through the app proxy: Shopify adds `shop`,
+ * `path_prefix`, `timestamp` and a hex `signature` over the sorted query.
+ * `body` is sent as JSON, or as a form when it is URLSearchParams.
+ */
+export function appProxyRequest(
+  shop,
+  path,
+  { method = "GET", body, query = {}, headers = {} } = {},
+) {
+  const params = {
+    ...query,
+    shop,
+    path_prefix: PROXY_PREFIX,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+  };
+  const message = Object.keys(params)
+    .sort((a, b) => a.localeCompare(b))
+    .map((key) => `${key}=${params[key]}`)
+    .join("");
+  const signature = createHmac("sha256", secret())
+    .update(message)
+    .digest("hex");
+
+  const url = new URL(path, APP_URL);
+  for (const [key, value] of Object.entries({ ...params, signature })) {
+    url.searchParams.set(key, value);
+  }
+
+  const form = body instanceof URLSearchParams;
+
+  return new Request(url, {
+    method,
+    headers: {
+      "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0)",
+      "X-Forwarded-For": "203.0.113.10",
+      ...(body && !form ? { "Content-Type": "application/json" } : {}),
+      ...headers,
+    },
+    body: body && !form ? JSON.stringify(body) : body,
+  });
+}
+
+/**
+ * A `/notify` form token old enough to be accepted, as if the shopper had
+ * loaded the form a minute ago.
+ */
+export function formToken(shop) {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  try {
+    vi.setSystemTime(Date.now() - 60 * 1000);
+    return signToken({ shop, purpose: "notify" }, 2 * 60 * 60);
+  } finally {
+    vi.useRealTimers();
+  }
+}
@@ -0,0 +1,75 @@
+import db from "../../app/db.server";
+import { encryptConfig } from "../../app/models/shopSettings.server";
+
+export const SHOP = "notify-test.myshopify.com";
+
+export const CLEVERTAP_CONFIG = {
+  accountId: "TEST-ACCOUNT",
+  passcode: "test-passcode",
+  region: "eu1",
+};
+
+const MODELS = [
+  "notificationAttempt",
+  "notificationJob",
+  "conversion",
+  "backInStockRequest",
+  "restockRule",
+  "stockLevel",
+  "shopSettings",
+  "processedWebhook",
+  "rateLimitBucket",
+  "auditLog",
+  "session",
+];
+
+export async function resetDatabase() {
+  await db.$transaction(MODELS.map((model) => db[model].deleteMany()));
+}
+
+/**
+ * An installed shop: an offline session for the fake Admin API and, unless
+ * `clevertap` is false, CleverTap credentials in its settings (already
+ * moved out of the legacy metafields).
+ */
+export async function installShop(
+  shop = SHOP,
+  { clevertap = true, settings = {} } = {},
+) {
+  await db.session.create({
+    data: {
+      id: `offline_${shop}`,
+      shop,
+      state: "installed",
+      isOnline: false,
+      scope: process.env.SCOPES,
+      accessToken: "shpat_test",
+    },
+  });
+
+  if (clevertap) {
+    await db.shopSettings.create({
+      data: {
+        shop,
+        provider: "clevertap",
+        providerConfig: encryptConfig(CLEVERTAP_CONFIG),
+        legacySettingsMigratedAt: new Date(),
+        ...settings,
+      },
+    });
+  }
+}
+
+/**
+ * A waiting request, as `/notify` would have left it.
+ */
+export async function createRequest(data) {
+  return db.backInStockRequest.create({
+    data: {
+      shop: SHOP,
+      channel: "email",
+      status: "pending",
+      ...data,
+    },
+  });
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import {
+  send,
+  validateConfig,
+} from "../app/notifications/providers/webhook.server";
+import { handleHost } from "./support/network";
+
+const EVENT = { shop: "notify-test.myshopify.com", email: "a@example.com" };
+
+describe("webhook provider", () => {
+  it.each([
+    "https://127.0.0.1/hook",
+    "https://10.0.0.8/hook",
+    "https://169.254.169.254/latest/meta-data",
+    "https://[::1]/hook",
+    "https://[::ffff:127.0.0.1]/hook",
+    "https://localhost:8080/hook",
+  ])("refuses %s", (url) => {
+    expect(validateConfig({ url })).toEqual([
+      { field: "url", message: "Endpoint URL must be a public address" },
+    ]);
+  });
+
+  it("won't send to a non-public address", async () => {
+    await expect(
+      send({ url: "https://192.168.1.1/hook" }, EVENT),
+    ).rejects.toThrow("not a public address");
+  });
+
+  it("posts to a public address without following redirects", async () => {
+    const received = [];
+    handleHost(/^203\.0\.113\.5$/, (request) => {
+      received.push(request);
+      return new Response(null, { status: 204 });
+    });
+
+    await send({ url: "https://203.0.113.5/hook", secret: "shh" }, EVENT);
+
+    expect(received).toHaveLength(1);
+    expect(received[0].redirect).toBe("error");
+    expect(received[0].headers.get("X-Back-In-Stock-Hmac-Sha256")).toBeTruthy();
+  });
+
+  it("keeps only the status of a failed call", async () => {
+    handleHost(
+      /^203\.0\.113\.6$/,
+      () => new Response("internal admin page", { status: 500 }),
+    );
+
+    const error = await send({ url: "https://203.0.113.6/hook" }, EVENT).catch(
+      (e) => e,
+    );
+
+    expect(error).toMatchObject({ status: 500, body: null });
+    expect(error.message).toBe("HTTP webhook API error (500)");
+  });
+});
@@ -0,0 +1,37 @@
+import { readFileSync } from "fs";
+import { defineConfig } from "vitest/config";
+import tsconfigPaths from "vite-tsconfig-paths";
+import { TEST_DATABASE_URL } from "./test/support/database";
+
+// The scopes a fresh install grants, so tests break if the app starts
+// needing one shopify.app.toml doesn't ask for
+function appScopes() {
+  const toml = readFileSync(new URL("shopify.app.toml", import.meta.url));
+  return String(toml).match(/^scopes = "(.*)"$/m)[1];
+}
+
+// Tests run against a real Postgres database and fakes for every external
+// service, see test/support. The database is a throwaway one started by
+// test/globalSetup.js, or TEST_DATABASE_URL, which is wiped before each run.
+export default defineConfig({
+  plugins: [tsconfigPaths()],
+  test: {
+    environment: "node",
+    include: ["test/**/*.test.js"],
+    globalSetup: ["test/globalSetup.js"],
+    setupFiles: ["test/setup.js"],
+    // One database, so one file at a time
+    fileParallelism: false,
+    env: {
+      DATABASE_URL: TEST_DATABASE_URL,
+      NODE_ENV: "test",
+      SHOPIFY_API_KEY: "test-api-key",
+      SHOPIFY_API_SECRET: "test-api-secret",
+      SHOPIFY_APP_URL: "https://app.example.test",
+      SCOPES: appScopes(),
+      SETTINGS_ENCRYPTION_KEYS: `test:${Buffer.alloc(32, 7).toString("base64")}`,
+      NOTIFICATION_WORKER: "off",
+      LOG_LEVEL: "error",
+    },
+  },
+});